@@ -0,0 +1,49 @@
+const { Strategy } = require('passport');
+
+/**
+ * Extract an API key from the request.
+ * Accepts "X-API-Key: <key>" or "Authorization: ApiKey <key>".
+ */
+const getApiKeyFromRequest = (req) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('ApiKey ')) {
+    return authorization.slice(7).trim();
+  }
+
+  return null;
+};
+
+/**
+ * Passport strategy for API keys used by service accounts and integrations
+ * @param {Function} verify (key, req, done) => void
+ */
+class ApiKeyStrategy extends Strategy {
+  constructor(verify) {
+    super();
+    this.name = 'apikey';
+    this.verify = verify;
+  }
+
+  authenticate(req) {
+    const key = getApiKeyFromRequest(req);
+
+    if (!key) {
+      return this.fail({ message: 'API key required' }, 401);
+    }
+
+    this.verify(key, req, (err, user, info) => {
+      if (err) return this.error(err);
+      if (!user) return this.fail(info, 401);
+      this.success(user, info);
+    });
+  }
+}
+
+module.exports = {
+  ApiKeyStrategy,
+  getApiKeyFromRequest
+};
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { Strategy } = require('passport');
+
+const STATE_COOKIE = 'oidc_state';
+
+/**
+ * Read a cookie value from the raw Cookie header
+ */
+const readCookie = (req, name) => {
+  const header = req.headers.cookie || '';
+  const match = header
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+};
+
+/**
+ * Passport strategy for OpenID Connect (authorization code flow).
+ *
+ * Stateless: the state/nonce pair is a signed JWT echoed through the IdP and
+ * bound to the browser with an HttpOnly cookie, so no server session is needed.
+ *
+ * @param {Object} options
+ * @param {String} options.issuer Issuer URL (discovery at /.well-known/openid-configuration)
+ * @param {String} options.clientId
+ * @param {String} options.clientSecret
+ * @param {String} options.redirectUri Callback URL registered with the IdP
+ * @param {String} [options.scope] Space separated scopes
+ * @param {String} options.stateSecret Secret used to sign the state parameter
+ * @param {Function} verify (claims, done) => void
+ */
+class OidcStrategy extends Strategy {
+  constructor(options, verify) {
+    super();
+    this.name = 'oidc';
+    this.options = {
+      scope: 'openid email profile',
+      ...options,
+      issuer: options.issuer.replace(/\/$/, '')
+    };
+    this.verify = verify;
+    this.metadata = null;
+    this.keys = null;
+  }
+
+  /**
+   * Fetch (and cache) the provider metadata
+   */
+  async discover() {
+    if (!this.metadata) {
+      const { data } = await axios.get(`${this.options.issuer}/.well-known/openid-configuration`);
+      this.metadata = data;
+    }
+    return this.metadata;
+  }
+
+  /**
+   * Find the signing key for a kid, refreshing the JWKS once if it's unknown (key rotation)
+   */
+  async getSigningKey(kid) {
+    const findKey = () => (this.keys || []).find(key => !kid || key.kid === kid);
+
+    if (!findKey()) {
+      const metadata = await this.discover();
+      const { data } = await axios.get(metadata.jwks_uri);
+      this.keys = data.keys || [];
+    }
+
+    const jwk = findKey();
+    if (!jwk) {
+      throw new Error('No matching signing key for ID token');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  authenticate(req) {
+    if (req.query && req.query.error) {
+      return this.fail({ message: req.query.error_description || req.query.error }, 401);
+    }
+
+    const handler = req.query && req.query.code
+      ? this.handleCallback(req)
+      : this.redirectToProvider(req);
+
+    handler.catch(error => this.error(error));
+  }
+
+  /**
+   * Step 1: send the browser to the IdP's authorization endpoint
+   */
+  async redirectToProvider(req) {
+    const metadata = await this.discover();
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    const state = jwt.sign(
+      { nonce, purpose: 'oidc-state' },
+      this.options.stateSecret,
+      { expiresIn: '10m' }
+    );
+
+    req.res.cookie(STATE_COOKIE, state, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: 10 * 60 * 1000
+    });
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.options.clientId,
+      redirect_uri: this.options.redirectUri,
+      scope: this.options.scope,
+      state,
+      nonce
+    });
+
+    this.redirect(`${metadata.authorization_endpoint}?${params.toString()}`);
+  }
+
+  /**
+   * Step 2: exchange the code, validate the ID token and hand the claims to verify()
+   */
+  async handleCallback(req) {
+    const { code, state } = req.query;
+    const cookieState = readCookie(req, STATE_COOKIE);
+    req.res.clearCookie(STATE_COOKIE);
+
+    // State must round-trip unchanged and belong to this browser
+    let statePayload;
+    try {
+      if (!state || state !== cookieState) throw new Error('State mismatch');
+      statePayload = jwt.verify(state, this.options.stateSecret);
+      if (statePayload.purpose !== 'oidc-state') throw new Error('Wrong purpose');
+    } catch (err) {
+      return this.fail({ message: 'Invalid or expired login attempt. Please try again.' }, 400);
+    }
+
+    const metadata = await this.discover();
+
+    const { data: tokenSet } = await axios.post(
+      metadata.token_endpoint,
+      new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.options.redirectUri,
+        client_id: this.options.clientId,
+        client_secret: this.options.clientSecret
+      }).toString(),
+      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+    );
+
+    if (!tokenSet.id_token) {
+      return this.fail({ message: 'Identity provider did not return an ID token' }, 401);
+    }
+
+    const decoded = jwt.decode(tokenSet.id_token, { complete: true });
+    if (!decoded) {
+      return this.fail({ message: 'Malformed ID token' }, 401);
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(tokenSet.id_token, key, {
+        issuer: metadata.issuer,
+        audience: this.options.clientId,
+        algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256']
+      });
+    } catch (err) {
+      return this.fail({ message: `Invalid ID token: ${err.message}` }, 401);
+    }
+
+    if (claims.nonce !== statePayload.nonce) {
+      return this.fail({ message: 'ID token nonce mismatch' }, 401);
+    }
+
+    // Profile claims such as department may only be available from userinfo
+    if (metadata.userinfo_endpoint && tokenSet.access_token) {
+      try {
+        const { data: userinfo } = await axios.get(metadata.userinfo_endpoint, {
+          headers: { Authorization: `Bearer ${tokenSet.access_token}` }
+        });
+        if (userinfo.sub === claims.sub) {
+          claims = { ...userinfo, ...claims };
+        }
+      } catch (err) {
+        console.error('OIDC userinfo error:', err.message);
+      }
+    }
+
+    this.verify(claims, (err, user, info) => {
+      if (err) return this.error(err);
+      if (!user) return this.fail(info, 401);
+      this.success(user, info);
+    });
+  }
+}
+
+/**
+ * OIDC settings from the environment (null when SSO is not configured)
+ */
+const getOidcConfig = () => {
+  if (!process.env.OIDC_ISSUER || !process.env.OIDC_CLIENT_ID) {
+    return null;
+  }
+
+  return {
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+    redirectUri: process.env.OIDC_REDIRECT_URI ||
+      `http://localhost:${process.env.PORT || 5000}/api/auth/oidc/callback`,
+    scope: process.env.OIDC_SCOPES || 'openid email profile',
+    stateSecret: process.env.JWT_SECRET || 'your_jwt_secret',
+    departmentClaim: process.env.OIDC_DEPARTMENT_CLAIM || 'department',
+    yearClaim: process.env.OIDC_YEAR_CLAIM || 'year'
+  };
+};
+
+module.exports = {
+  OidcStrategy,
+  getOidcConfig
+};
@@ -1,6 +1,12 @@
 const JwtStrategy = require('passport-jwt').Strategy;
 const ExtractJwt = require('passport-jwt').ExtractJwt;
+const crypto = require('crypto');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { OidcStrategy, getOidcConfig } = require('./oidc');
+const { ApiKeyStrategy } = require('./apiKey');
+const { hashToken } = require('../utils/tokens');
+const { loadAcademicLookups } = require('../utils/academicData');
 
 // JWT options
 const opts = {
@@ -12,20 +18,139 @@ module.exports = (passport) => {
   passport.use(
     new JwtStrategy(opts, async (jwt_payload, done) => {
       try {
+        // Purpose-bound tokens (2FA challenges, email links) are not access tokens
+        if (jwt_payload.purpose) {
+          return done(null, false);
+        }
+        
         // Find the user based on the ID in JWT payload
         const user = await User.findById(jwt_payload.id).select('-password');
         
-        if (user) {
-          // If user is found, return the user
-          return done(null, user);
+        // If no user is found, return false
+        if (!user) {
+          return done(null, false);
         }
         
-        // If no user is found, return false
-        return done(null, false);
+        // Reject suspended users
+        if (!user.isActive) {
+          return done(null, false);
+        }
+        
+        // Reject tokens issued before a role change or a session revocation
+        if (jwt_payload.role !== user.role || (jwt_payload.tv || 0) !== user.tokenVersion) {
+          return done(null, false);
+        }
+        
+        return done(null, user);
       } catch (error) {
         console.error('Error in JWT strategy:', error);
         return done(error, false);
       }
     })
   );
+
+  // API keys for service accounts and integrations
+  passport.use(
+    new ApiKeyStrategy(async (key, req, done) => {
+      try {
+        const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+
+        if (!apiKey || !apiKey.isActive) {
+          return done(null, false, { message: 'Invalid or expired API key' });
+        }
+
+        // Keys act on behalf of the user who created them and stop working with that account
+        const user = await User.findById(apiKey.createdBy).select('-password');
+
+        if (!user || !user.isActive) {
+          return done(null, false, { message: 'Invalid or expired API key' });
+        }
+
+        // Track usage without blocking on it
+        ApiKey.updateOne(
+          { _id: apiKey._id },
+          { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+        ).catch(err => console.error('API key usage tracking error:', err.message));
+
+        return done(null, user, { apiKey });
+      } catch (error) {
+        console.error('Error in API key strategy:', error);
+        return done(error, false);
+      }
+    })
+  );
+
+  // University single sign-on (only when an issuer is configured)
+  const oidcConfig = getOidcConfig();
+  if (oidcConfig) {
+    passport.use(
+      new OidcStrategy(oidcConfig, async (claims, done) => {
+        try {
+          const email = claims.email && claims.email.toLowerCase();
+
+          if (!email || claims.email_verified === false) {
+            return done(null, false, { message: 'Your university account has no verified email address' });
+          }
+
+          // Prefer the stable subject id, then link an existing account by email
+          let user = await User.findOne({ oidcSubject: claims.sub }).setOptions({ withDeleted: true });
+
+          if (!user) {
+            user = await User.findOne({ email }).setOptions({ withDeleted: true });
+
+            if (user && user.oidcSubject && user.oidcSubject !== claims.sub) {
+              return done(null, false, { message: 'This email is linked to a different university account' });
+            }
+
+            // Only take over an existing account when the IdP vouches for the address
+            if (user && claims.email_verified !== true) {
+              return done(null, false, { message: 'Your university account has no verified email address' });
+            }
+          }
+
+          if (user && user.deletedAt) {
+            return done(null, false, { message: 'This account has been deleted. Please contact administration.' });
+          }
+
+          if (!user) {
+            // Auto-provision; random password so the account can't be used without SSO
+            // until the student sets one through the forgot-password flow
+            user = new User({
+              name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email,
+              email,
+              password: crypto.randomBytes(32).toString('hex')
+            });
+          }
+
+          user.oidcSubject = claims.sub;
+
+          // Only trust the address when the IdP says it verified it (an address
+          // verified here before stays verified)
+          if (claims.email_verified === true) {
+            user.isVerified = true;
+          }
+
+          // The IdP is the source of truth for academic details; claim values are
+          // matched against department / program-year codes, names and aliases
+          const { resolveDepartment, resolveProgramYear } = await loadAcademicLookups();
+
+          const department = resolveDepartment(claims[oidcConfig.departmentClaim]);
+          if (department) user.department = department._id;
+
+          const programYear = resolveProgramYear(claims[oidcConfig.yearClaim]);
+          if (programYear) user.programYear = programYear._id;
+
+          if (!user.isActive) {
+            return done(null, false, { message: 'Account has been suspended. Please contact administration.' });
+          }
+
+          await user.save();
+          return done(null, user);
+        } catch (error) {
+          console.error('Error in OIDC strategy:', error);
+          return done(error, false);
+        }
+      })
+    );
+  }
 };
\ No newline at end of file
@@ -0,0 +1,79 @@
+// Roles and the permission matrix used by requirePermission()
+
+const ROLES = ['student', 'faculty', 'moderator', 'organizer', 'admin'];
+
+const PERMISSIONS = {
+  BLOG_CREATE: 'blog:create',
+  BLOG_MODERATE: 'blog:moderate',
+  CONTEST_REGISTER: 'contest:register',
+  CONTEST_MANAGE: 'contest:manage',
+  NOTIFICATION_BROADCAST: 'notification:broadcast',
+  PAYMENT_MANAGE: 'payment:manage',
+  USER_MANAGE: 'user:manage',
+  ACADEMIC_MANAGE: 'academic:manage',
+  AUDIT_VIEW: 'audit:view'
+};
+
+const ROLE_PERMISSIONS = {
+  student: [
+    PERMISSIONS.BLOG_CREATE,
+    PERMISSIONS.CONTEST_REGISTER
+  ],
+  faculty: [
+    PERMISSIONS.BLOG_CREATE,
+    PERMISSIONS.NOTIFICATION_BROADCAST
+  ],
+  moderator: [
+    PERMISSIONS.BLOG_CREATE,
+    PERMISSIONS.BLOG_MODERATE
+  ],
+  organizer: [
+    PERMISSIONS.BLOG_CREATE,
+    PERMISSIONS.CONTEST_MANAGE,
+    PERMISSIONS.NOTIFICATION_BROADCAST
+  ],
+  // Admins manage the platform; like before, they don't write blogs or enter contests
+  admin: [
+    PERMISSIONS.BLOG_MODERATE,
+    PERMISSIONS.CONTEST_MANAGE,
+    PERMISSIONS.NOTIFICATION_BROADCAST,
+    PERMISSIONS.PAYMENT_MANAGE,
+    PERMISSIONS.USER_MANAGE,
+    PERMISSIONS.ACADEMIC_MANAGE,
+    PERMISSIONS.AUDIT_VIEW
+  ]
+};
+
+// Scopes that can be granted to API keys (service accounts / integrations)
+const API_SCOPES = [
+  'contests:read',
+  'contests:write',
+  'notifications:write'
+];
+
+/**
+ * Check if a role grants a permission
+ * @param {String} role
+ * @param {String} permission
+ */
+const roleHasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+/**
+ * All roles that grant a permission (e.g. to notify every moderator)
+ * @param {String} permission
+ * @returns {String[]}
+ */
+const rolesWithPermission = (permission) => {
+  return ROLES.filter(role => roleHasPermission(role, permission));
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  API_SCOPES,
+  roleHasPermission,
+  rolesWithPermission
+};
@@ -0,0 +1,127 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Largest delay setTimeout accepts (~24.8 days)
+const MAX_TIMER_DELAY = 2147483647;
+
+// Socket.io server instance, kept so other modules can reach connected sockets
+let ioInstance = null;
+
+/**
+ * Room name shared by every connected user with the given role (e.g. 'admins')
+ */
+const roleRoom = (role) => `${role}s`;
+
+/**
+ * Room for clients viewing a blog, used for live like/comment updates
+ */
+const blogRoom = (blogId) => `blog:${blogId}`;
+
+/**
+ * Pull the bearer token from the handshake (auth payload, then Authorization header)
+ */
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+
+  if (auth.token) {
+    return auth.token.replace(/^Bearer\s+/i, '');
+  }
+
+  if (headers.authorization && headers.authorization.startsWith('Bearer ')) {
+    return headers.authorization.slice(7);
+  }
+
+  return null;
+};
+
+/**
+ * Disconnect all sockets belonging to a user (e.g. after their sessions are revoked)
+ * @param {String} userId
+ */
+const disconnectUserSockets = (userId) => {
+  if (!ioInstance) return;
+
+  ioInstance.to(userId.toString()).emit('session_revoked', {
+    message: 'Your session is no longer valid. Please sign in again.'
+  });
+  ioInstance.in(userId.toString()).disconnectSockets(true);
+};
+
+module.exports = (io) => {
+  ioInstance = io;
+
+  // Authenticate every connection with the same rules as the JWT passport strategy
+  io.use(async (socket, next) => {
+    try {
+      const token = getHandshakeToken(socket);
+
+      if (!token) {
+        return next(new Error('Authentication required'));
+      }
+
+      let payload;
+      try {
+        payload = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret');
+      } catch (err) {
+        return next(new Error('Invalid or expired token'));
+      }
+
+      const user = await User.findById(payload.id).select('-password');
+
+      if (
+        payload.purpose ||
+        !user ||
+        !user.isActive ||
+        payload.role !== user.role ||
+        (payload.tv || 0) !== user.tokenVersion
+      ) {
+        return next(new Error('Invalid or expired token'));
+      }
+
+      socket.user = user;
+      socket.tokenExpiresAt = payload.exp * 1000;
+      next();
+    } catch (error) {
+      console.error('Socket authentication error:', error.message);
+      next(new Error('Authentication error'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const userId = socket.user.id;
+
+    // Join the user's own room and their role room for targeted notifications
+    socket.join(userId);
+    socket.join(roleRoom(socket.user.role));
+    console.log(`User ${userId} connected`);
+
+    // Drop the connection when the access token expires; the client reconnects with a fresh one
+    const expiryTimer = setTimeout(() => {
+      socket.emit('session_expired', { message: 'Access token expired' });
+      socket.disconnect(true);
+    }, Math.min(Math.max(socket.tokenExpiresAt - Date.now(), 0), MAX_TIMER_DELAY));
+
+    // Clients subscribe to the blogs they are viewing
+    socket.on('watch_blog', (blogId) => {
+      if (mongoose.isValidObjectId(blogId)) {
+        socket.join(blogRoom(blogId));
+      }
+    });
+
+    socket.on('unwatch_blog', (blogId) => {
+      if (mongoose.isValidObjectId(blogId)) {
+        socket.leave(blogRoom(blogId));
+      }
+    });
+
+    socket.on('disconnect', () => {
+      clearTimeout(expiryTimer);
+      console.log(`User ${userId} disconnected`);
+    });
+  });
+};
+
+module.exports.roleRoom = roleRoom;
+module.exports.blogRoom = blogRoom;
+module.exports.disconnectUserSockets = disconnectUserSockets;
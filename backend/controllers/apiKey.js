@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { hashToken } = require('../utils/tokens');
+const { recordAudit } = require('../utils/audit');
+
+// @desc    Create an API key
+// @route   POST /api/api-keys
+// @access  Private (user:manage)
+exports.createApiKey = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+
+    // Key format: uk_<prefix>_<secret>; the prefix is stored in clear for identification
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `uk_${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+
+    const apiKey = new ApiKey({
+      name,
+      prefix,
+      keyHash: hashToken(key),
+      scopes: [...new Set(scopes)],
+      createdBy: req.user.id,
+      expiresAt: expiresAt || null
+    });
+
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'api_key.create',
+      targetType: 'ApiKey',
+      target: apiKey,
+      targetLabel: `${apiKey.name} (${apiKey.prefix})`,
+      after: { scopes: apiKey.scopes, expiresAt: apiKey.expiresAt }
+    });
+
+    res.status(201).json({
+      message: 'API key created. Copy it now, it will not be shown again.',
+      key,
+      apiKey: {
+        id: apiKey._id,
+        name: apiKey.name,
+        prefix: apiKey.prefix,
+        scopes: apiKey.scopes,
+        expiresAt: apiKey.expiresAt,
+        createdAt: apiKey.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Get all API keys
+// @route   GET /api/api-keys
+// @access  Private (user:manage)
+exports.getApiKeys = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, includeRevoked } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build query
+    const query = {};
+
+    if (includeRevoked !== 'true') {
+      query.revokedAt = null;
+    }
+
+    // Get keys with pagination
+    const apiKeys = await ApiKey.find(query)
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Get total count for pagination
+    const total = await ApiKey.countDocuments(query);
+
+    res.json({
+      apiKeys,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Revoke an API key
+// @route   DELETE /api/api-keys/:id
+// @access  Private (user:manage)
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ message: 'API key is already revoked' });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user.id;
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'api_key.revoke',
+      targetType: 'ApiKey',
+      target: apiKey,
+      targetLabel: `${apiKey.name} (${apiKey.prefix})`
+    });
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    console.error('Revoke API key error:', error.message);
+    next(error);
+  }
+};
@@ -0,0 +1,129 @@
+const { validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { recordAudit } = require('../utils/audit');
+const { toCsv } = require('../utils/csv');
+
+// Maximum rows in a single CSV export
+const EXPORT_MAX_ROWS = 10000;
+
+/**
+ * Build the audit log query from request filters
+ * (actor, action, targetType, targetId, from, to)
+ */
+const buildAuditQuery = ({ actor, action, targetType, targetId, from, to }) => {
+  const query = {};
+
+  if (actor) query.actor = actor;
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = targetId;
+
+  // Exact action ("user.update") or a whole group ("user.*")
+  if (action) {
+    query.action = action.endsWith('.*')
+      ? { $regex: `^${action.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.` }
+      : action;
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  return query;
+};
+
+// @desc    Get audit log entries
+// @route   GET /api/audit
+// @access  Private (audit:view)
+exports.getAuditLogs = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = buildAuditQuery(req.query);
+
+    const entries = await AuditLog.find(query)
+      .populate({ path: 'actor', select: 'name email', options: { withDeleted: true } })
+      .populate('apiKey', 'name prefix')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      entries,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Export audit log entries as CSV (same filters as the list)
+// @route   GET /api/audit/export.csv
+// @access  Private (audit:view)
+exports.exportAuditLogs = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const query = buildAuditQuery(req.query);
+
+    const entries = await AuditLog.find(query)
+      .populate({ path: 'actor', select: 'name email', options: { withDeleted: true } })
+      .populate('apiKey', 'name prefix')
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_MAX_ROWS)
+      .lean();
+
+    const csv = toCsv(entries, [
+      { header: 'time', value: 'createdAt' },
+      { header: 'actor', value: entry => (entry.actor ? entry.actor.email : '') },
+      { header: 'actor_role', value: 'actorRole' },
+      { header: 'api_key', value: entry => (entry.apiKey ? `${entry.apiKey.name} (${entry.apiKey.prefix})` : '') },
+      { header: 'action', value: 'action' },
+      { header: 'target_type', value: 'targetType' },
+      { header: 'target_id', value: entry => (entry.targetId ? entry.targetId.toString() : '') },
+      { header: 'target', value: 'targetLabel' },
+      {
+        header: 'changes',
+        value: entry => entry.changes
+          .map(change => `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`)
+          .join('; ')
+      },
+      { header: 'metadata', value: entry => (Object.keys(entry.metadata || {}).length ? JSON.stringify(entry.metadata) : '') },
+      { header: 'ip', value: 'ip' }
+    ]);
+
+    // Exports of the audit trail are themselves audited
+    await recordAudit(req, {
+      action: 'audit.export',
+      targetType: 'AuditLog',
+      metadata: { filters: req.query, rows: entries.length }
+    });
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`audit-log-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Export audit logs error:', error.message);
+    next(error);
+  }
+};
@@ -1,6 +1,124 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const passport = require('passport');
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Notification = require('../models/Notification');
+const DataExport = require('../models/DataExport');
+const sendEmail = require('../utils/sendEmail');
+const {
+  hashToken,
+  generateAccessToken,
+  generateChallengeToken,
+  createRefreshToken,
+  sendTokenResponse,
+  revokeUserSessions
+} = require('../utils/tokens');
+const {
+  emailKey,
+  ipKey,
+  getThrottleStatus,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../utils/loginThrottle');
+const { roleRoom } = require('../config/socket');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+const { getStorage, storeUpload, removeStoredFile } = require('../utils/storage');
+const {
+  countUserRecords,
+  buildUserExport,
+  renderExport,
+  getStaleExportCutoff,
+  processDataExport,
+  removeExpiredExports
+} = require('../utils/dataExport');
+const { requestAccountClosure, cancelAccountClosure } = require('../utils/userDeletion');
+const { validateAcademicRefs } = require('../utils/academicData');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Public profile sections with their own visibility setting
+const PROFILE_SECTIONS = ['bio', 'department', 'year', 'blogs', 'contests', 'results'];
+
+/**
+ * Generate a fresh set of one-time recovery codes
+ * @returns {{ codes: String[], hashes: String[] }} Plain codes for the user, hashes for storage
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(code))
+  };
+};
+
+const verificationSecret = () =>
+  process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET || 'your_jwt_secret';
+
+/**
+ * Send a signed email verification link to the user.
+ * The token is bound to the current email so changing the address invalidates old links.
+ */
+const sendVerificationEmail = async (user) => {
+  const token = jwt.sign(
+    { id: user.id, email: user.email, purpose: 'verify-email' },
+    verificationSecret(),
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h' }
+  );
+
+  const verifyUrl = `${process.env.CLIENT_URL || 'http://localhost:5173'}/verify-email/${token}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\n` +
+      'Please confirm your email address by opening the link below:\n\n' +
+      `${verifyUrl}\n\n` +
+      'If you did not create an account, you can ignore this email.'
+  });
+};
+
+/**
+ * Track a failed login and alert admins when an admin account gets locked out
+ * @param {Object} req Express request
+ * @param {String} email Email that was attempted
+ * @param {Object|null} user Matching user, if any
+ */
+const handleFailedLogin = async (req, email, user) => {
+  const { emailLocked } = await recordLoginFailure(email, req.ip);
+
+  if (!emailLocked || !user || user.role !== 'admin') {
+    return;
+  }
+
+  const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+
+  const notification = new Notification({
+    title: 'Admin Account Locked',
+    message: `The admin account ${user.email} was temporarily locked after repeated failed login attempts (last attempt from ${req.ip}).`,
+    sender: user._id,
+    recipients: 'specific',
+    targetUsers: admins.map(admin => admin._id),
+    urgencyLevel: 'urgent',
+    relatedTo: 'account'
+  });
+
+  await notification.save();
+
+  // Send real-time notification to the admins room
+  const io = req.app.get('io');
+  io.to(roleRoom('admin')).emit('notification', {
+    type: 'ADMIN_ACCOUNT_LOCKED',
+    message: `Admin account ${user.email} locked after failed login attempts`,
+    data: notification
+  });
+};
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -13,51 +131,42 @@ exports.register = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, password, role } = req.body;
+    const { name, email, password, department, programYear } = req.body;
 
-    // Check if user exists
-    let user = await User.findOne({ email });
+    // Check if user exists (including deleted accounts, which still hold the email)
+    let user = await User.findOne({ email }).setOptions({ withDeleted: true });
     if (user) {
       return res.status(400).json({
         message: 'User already exists'
       });
     }
 
-    // Create user with proper role validation
-    // Only allow student role for registration, admin role requires special process
+    const refProblems = await validateAcademicRefs({ department, programYear });
+    if (refProblems.length > 0) {
+      return res.status(400).json({ message: refProblems.join(', ') });
+    }
+
+    // Self-registration always creates a student; other roles are assigned by user managers
     user = new User({
       name,
       email,
       password,
-      role: role === 'admin' ? 'student' : role // Default to student, ignore admin attempts
+      role: 'student',
+      department: department || null,
+      programYear: programYear || null
     });
 
     await user.save();
 
-    // Create and return JWT
-    const payload = {
-      id: user.id,
-      role: user.role
-    };
+    // Send verification link (registration still succeeds if mail fails; user can resend)
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError.message);
+    }
 
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET || 'your_jwt_secret',
-      { expiresIn: '7d' },
-      (err, token) => {
-        if (err) throw err;
-        res.status(201).json({
-          token,
-          user: {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-            avatar: user.avatar
-          }
-        });
-      }
-    );
+    // Create and return access and refresh tokens
+    await sendTokenResponse(user, 201, req, res);
   } catch (error) {
     console.error('Registration error:', error.message);
     next(error);
@@ -77,9 +186,22 @@ exports.login = async (req, res, next) => {
 
     const { email, password } = req.body;
 
+    // Refuse while the email or IP is locked out or still inside its back-off delay
+    const throttle = await getThrottleStatus([emailKey(email), ipKey(req.ip)]);
+    if (throttle.blocked) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        message: throttle.locked
+          ? 'Too many failed login attempts. Please try again later.'
+          : 'Please wait before trying to log in again.',
+        retryAfter: throttle.retryAfter
+      });
+    }
+
     // Find user by email
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await handleFailedLogin(req, email, null);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
@@ -91,33 +213,35 @@ exports.login = async (req, res, next) => {
     // Check if password matches
     const isMatch = await user.matchPassword(password);
     if (!isMatch) {
+      await handleFailedLogin(req, email, user);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Create and return JWT
-    const payload = {
-      id: user.id,
-      role: user.role
-    };
+    // Accounts with two-factor enabled finish logging in at /api/auth/2fa/verify
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user, '2fa-login', '5m')
+      });
+    }
 
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET || 'your_jwt_secret',
-      { expiresIn: '7d' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({
-          token,
-          user: {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-            avatar: user.avatar
-          }
-        });
-      }
-    );
+    // Roles that must use two-factor enroll before they receive any tokens
+    if (user.requiresTwoFactor()) {
+      return res.json({
+        twoFactorSetupRequired: true,
+        challengeToken: generateChallengeToken(user, '2fa-setup', '15m')
+      });
+    }
+
+    // Successful login resets the failure count for this account; with two-factor
+    // that only happens once the second factor has been verified
+    await clearLoginFailures(email);
+
+    // Logging in during the grace period cancels a pending account closure
+    const closureCancelled = await cancelAccountClosure(user, req.app.get('io'));
+
+    // Create and return access and refresh tokens
+    await sendTokenResponse(user, 200, req, res, closureCancelled ? { accountClosureCancelled: true } : {});
   } catch (error) {
     console.error('Login error:', error.message);
     next(error);
@@ -130,7 +254,9 @@ exports.login = async (req, res, next) => {
 exports.getCurrentUser = async (req, res, next) => {
   try {
     // User is already available in req.user from the auth middleware
-    const user = await User.findById(req.user.id);
+    const user = await User.findById(req.user.id)
+      .populate('department', 'name code')
+      .populate('programYear', 'name code program yearOfStudy');
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -143,9 +269,10 @@ exports.getCurrentUser = async (req, res, next) => {
       role: user.role,
       avatar: user.avatar,
       department: user.department,
-      year: user.year,
+      programYear: user.programYear,
       bio: user.bio,
       isVerified: user.isVerified,
+      twoFactorEnabled: user.twoFactor.enabled,
       createdAt: user.createdAt
     });
   } catch (error) {
@@ -154,12 +281,129 @@ exports.getCurrentUser = async (req, res, next) => {
   }
 };
 
+// @desc    Export all personal data (small exports are returned directly, large ones are queued)
+// @route   GET /api/auth/me/export
+// @access  Private
+exports.exportMyData = async (req, res, next) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'zip';
+    const threshold = parseInt(process.env.EXPORT_ASYNC_THRESHOLD || '500');
+
+    await removeExpiredExports(req.user.id);
+
+    const recordCount = await countUserRecords(req.user.id);
+
+    if (req.query.async === 'true' || recordCount > threshold) {
+      // Reuse an export that's already being generated (unless it has stalled)
+      let dataExport = await DataExport.findOne({
+        user: req.user.id,
+        format,
+        status: { $in: ['pending', 'processing'] },
+        updatedAt: { $gt: getStaleExportCutoff() }
+      });
+
+      if (!dataExport) {
+        dataExport = await DataExport.create({ user: req.user.id, format });
+
+        const io = req.app.get('io');
+        setImmediate(() => {
+          processDataExport(dataExport._id, io).catch(error => {
+            console.error('Data export error:', error.message);
+          });
+        });
+      }
+
+      return res.status(202).json({
+        message: 'Your export is being prepared. You will be notified when it is ready to download.',
+        export: dataExport
+      });
+    }
+
+    const data = await buildUserExport(req.user.id);
+    const { buffer, contentType, extension } = await renderExport(data, format);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="my-data-${date}.${extension}"`
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Export data error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Get the status of a queued data export
+// @route   GET /api/auth/me/export/:id
+// @access  Private
+exports.getDataExport = async (req, res, next) => {
+  try {
+    const dataExport = await DataExport.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!dataExport) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+
+    res.json(dataExport);
+  } catch (error) {
+    console.error('Get data export error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Download a completed data export
+// @route   GET /api/auth/me/export/:id/download
+// @access  Private
+exports.downloadDataExport = async (req, res, next) => {
+  try {
+    const dataExport = await DataExport.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!dataExport) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+
+    if (!dataExport.isDownloadable()) {
+      return res.status(dataExport.status === 'ready' ? 410 : 409).json({
+        message: dataExport.status === 'ready'
+          ? 'This export has expired. Please request a new one.'
+          : 'This export is not ready yet',
+        status: dataExport.status
+      });
+    }
+
+    const buffer = await getStorage().get(dataExport.fileKey);
+    const extension = dataExport.format === 'zip' ? 'zip' : 'json';
+    const date = dataExport.createdAt.toISOString().slice(0, 10);
+
+    res.set({
+      'Content-Type': dataExport.format === 'zip' ? 'application/zip' : 'application/json',
+      'Content-Disposition': `attachment; filename="my-data-${date}.${extension}"`
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Download data export error:', error.message);
+    next(error);
+  }
+};
+
 // @desc    Update user profile
 // @route   PUT /api/auth/update-profile
 // @access  Private
 exports.updateProfile = async (req, res, next) => {
   try {
-    const { name, department, year, bio } = req.body;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, department, programYear, bio } = req.body;
+    
+    const refProblems = await validateAcademicRefs({ department, programYear });
+    if (refProblems.length > 0) {
+      return res.status(400).json({ message: refProblems.join(', ') });
+    }
     
     // Find user and update
     const user = await User.findByIdAndUpdate(
@@ -167,11 +411,13 @@ exports.updateProfile = async (req, res, next) => {
       { 
         name, 
         department, 
-        year,
+        programYear,
         bio
       },
       { new: true }
-    );
+    )
+      .populate('department', 'name code')
+      .populate('programYear', 'name code program yearOfStudy');
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -186,7 +432,7 @@ exports.updateProfile = async (req, res, next) => {
         role: user.role,
         avatar: user.avatar,
         department: user.department,
-        year: user.year,
+        programYear: user.programYear,
         bio: user.bio
       }
     });
@@ -194,4 +440,773 @@ exports.updateProfile = async (req, res, next) => {
     console.error('Update profile error:', error.message);
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Update who can see each section of the public profile
+// @route   PUT /api/auth/profile-visibility
+// @access  Private
+exports.updateProfileVisibility = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    PROFILE_SECTIONS.forEach(section => {
+      if (req.body[section] !== undefined) {
+        user.profileVisibility[section] = req.body[section];
+      }
+    });
+
+    await user.save();
+
+    res.json({
+      message: 'Profile visibility updated successfully',
+      visibility: user.profileVisibility
+    });
+  } catch (error) {
+    console.error('Update profile visibility error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Upload avatar
+// @route   PUT /api/auth/avatar
+// @access  Private
+exports.uploadAvatar = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { key, url } = await storeUpload('avatars', req.file);
+    const previousKey = user.avatarKey;
+
+    user.avatar = url;
+    user.avatarKey = key;
+    await user.save();
+
+    // Only remove the old file once the new one is saved
+    await removeStoredFile(previousKey);
+
+    res.json({
+      message: 'Avatar updated',
+      avatar: user.avatar
+    });
+  } catch (error) {
+    console.error('Upload avatar error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Change password
+// @route   PUT /api/auth/change-password
+// @access  Private
+exports.changePassword = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Confirm the current password before allowing the change
+    const isMatch = await user.matchPassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ message: 'New password must be different from the current password' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Notify the user about the change
+    const notification = new Notification({
+      title: 'Password Changed',
+      message: 'Your password was changed. If this wasn\'t you, reset your password immediately and contact administration.',
+      sender: user._id,
+      recipients: 'specific',
+      targetUsers: [user._id],
+      urgencyLevel: 'important',
+      relatedTo: 'account'
+    });
+
+    await notification.save();
+
+    // Send real-time notification (before sockets are dropped below)
+    const io = req.app.get('io');
+    io.to(user._id.toString()).emit('notification', {
+      type: 'PASSWORD_CHANGED',
+      message: 'Your password was changed',
+      data: notification
+    });
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: 'Your password was changed',
+        text: `Hi ${user.name},\n\n` +
+          'The password for your account was just changed and all other sessions were signed out.\n\n' +
+          'If you did not make this change, reset your password immediately and contact administration.'
+      });
+    } catch (mailError) {
+      console.error('Password change email error:', mailError.message);
+    }
+
+    // Sign out every other session, then issue fresh tokens for this one
+    await revokeUserSessions(user._id);
+    const updatedUser = await User.findById(user._id);
+
+    await sendTokenResponse(updatedUser, 200, req, res, {
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    console.error('Change password error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Request closure of your own account (closed after a grace period)
+// @route   POST /api/auth/close-account
+// @access  Private
+exports.closeAccount = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Confirm the password before scheduling anything
+    const isMatch = await user.matchPassword(req.body.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    if (user.role === 'admin') {
+      return res.status(400).json({
+        message: 'Administrators must hand over their role before closing their account'
+      });
+    }
+
+    if (user.closureRequestedAt) {
+      return res.status(400).json({
+        message: 'Account closure has already been requested',
+        closureScheduledFor: user.closureScheduledFor
+      });
+    }
+
+    await requestAccountClosure(user, req.app.get('io'));
+
+    res.json({
+      message: 'Your account will be closed at the end of the grace period. Log in again before then to cancel.',
+      closureScheduledFor: user.closureScheduledFor
+    });
+  } catch (error) {
+    console.error('Close account error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Same response whether or not the email exists, so accounts can't be enumerated
+    const response = {
+      message: 'If an account exists for that email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || !user.isActive) {
+      return res.json(response);
+    }
+
+    // Generate token (only the hash is stored on the user)
+    const resetToken = user.getResetPasswordToken();
+    await user.save();
+
+    const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:5173'}/reset-password/${resetToken}`;
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: 'Password reset request',
+        text: `Hi ${user.name},\n\n` +
+          'We received a request to reset your password. Use the link below to choose a new one:\n\n' +
+          `${resetUrl}\n\n` +
+          'This link can only be used once and will expire soon. ' +
+          'If you did not request a password reset, you can ignore this email.'
+      });
+    } catch (mailError) {
+      // Don't leave a usable token behind if the email never went out. The
+      // response stays the same so a failure doesn't reveal that the account exists
+      console.error('Reset email error:', mailError.message);
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save();
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Reset password using a reset token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+exports.resetPassword = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Tokens are stored hashed, so hash the incoming one before lookup
+    const resetPasswordToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      resetPasswordToken,
+      resetPasswordExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    // Set new password and clear the token so it can't be reused
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+
+    // The link was delivered to this address, which proves the user owns it
+    user.isVerified = true;
+    await user.save();
+
+    // Sign out any session that may have been opened with the old password
+    await revokeUserSessions(user._id);
+
+    res.json({ message: 'Password has been reset. You can now log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(req.params.token, verificationSecret());
+    } catch (err) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    if (decoded.purpose !== 'verify-email') {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    // Link must match the address currently on the account
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    if (!user.isVerified) {
+      user.isVerified = true;
+      await user.save();
+    }
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError.message);
+      return res.status(500).json({ message: 'Email could not be sent' });
+    }
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh-token
+// @access  Public
+exports.refreshToken = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { refreshToken } = req.body;
+
+    const storedToken = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+    if (!storedToken) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    // A revoked token being presented again means it was stolen or replayed:
+    // revoke the whole family so neither party can keep using it
+    if (storedToken.revokedAt) {
+      await RefreshToken.updateMany(
+        { family: storedToken.family, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+      return res.status(401).json({ message: 'Refresh token has been revoked' });
+    }
+
+    if (storedToken.expiresAt <= new Date()) {
+      return res.status(401).json({ message: 'Refresh token has expired' });
+    }
+
+    const user = await User.findById(storedToken.user);
+
+    if (!user || !user.isActive) {
+      storedToken.revokedAt = new Date();
+      await storedToken.save();
+      return res.status(401).json({ message: 'Account is not available' });
+    }
+
+    // Rotate: revoke the presented token and issue a new one in the same family
+    const newRefreshToken = await createRefreshToken(user, req, storedToken.family);
+    storedToken.revokedAt = new Date();
+    storedToken.replacedByHash = hashToken(newRefreshToken);
+    await storedToken.save();
+
+    res.json({
+      token: generateAccessToken(user),
+      refreshToken: newRefreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Log out the current session
+// @route   POST /api/auth/logout
+// @access  Public (requires refresh token)
+exports.logout = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { refreshToken } = req.body;
+
+    const storedToken = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+    // Revoke the whole family so any rotated copies die with it
+    if (storedToken) {
+      await RefreshToken.updateMany(
+        { family: storedToken.family, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Log out of all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res, next) => {
+  try {
+    await revokeUserSessions(req.user.id);
+
+    res.json({ message: 'Logged out of all devices' });
+  } catch (error) {
+    console.error('Logout all error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Start two-factor enrollment (generate secret and QR code)
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or 2FA setup challenge)
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    // Secret stays inactive until confirmed with a code at /2fa/enable
+    const secret = generateSecret();
+    user.twoFactor.secret = secret;
+    await user.save();
+
+    const otpauthUrl = buildOtpauthUrl(secret, user.email);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.json({
+      secret,
+      otpauthUrl,
+      qrCode
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Confirm enrollment with a code and enable two-factor
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or 2FA setup challenge)
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactor.secret');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.secret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(user.twoFactor.secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    const response = {
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes: codes
+    };
+
+    // Enrollment during login completes the login
+    if (req.twoFactorSetupChallenge) {
+      await clearLoginFailures(user.email);
+
+      const closureCancelled = await cancelAccountClosure(user, req.app.get('io'));
+
+      return sendTokenResponse(user, 200, req, res, {
+        ...response,
+        ...(closureCancelled && { accountClosureCancelled: true })
+      });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Enable two-factor error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires 2FA login challenge)
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let payload;
+    try {
+      payload = jwt.verify(challengeToken, process.env.JWT_SECRET || 'your_jwt_secret');
+    } catch (err) {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+
+    if (payload.purpose !== '2fa-login') {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+
+    const user = await User.findById(payload.id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user || !user.isActive || !user.twoFactor.enabled || (payload.tv || 0) !== user.tokenVersion) {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+
+    // Second-factor guesses count towards the same lockout as passwords
+    const throttle = await getThrottleStatus([emailKey(user.email), ipKey(req.ip)]);
+    if (throttle.blocked) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        message: 'Too many failed attempts. Please try again later.',
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    let verified = false;
+
+    if (code) {
+      const lastUsedStep = user.twoFactor.lastUsedStep === undefined ? -1 : user.twoFactor.lastUsedStep;
+      const step = verifyCode(user.twoFactor.secret, code, lastUsedStep);
+      if (step !== null) {
+        user.twoFactor.lastUsedStep = step;
+        verified = true;
+      }
+    } else if (recoveryCode) {
+      // Recovery codes are single use
+      const hash = hashToken(recoveryCode.trim().toLowerCase());
+      const remaining = (user.twoFactor.recoveryCodes || []).filter(stored => stored !== hash);
+      if (remaining.length !== (user.twoFactor.recoveryCodes || []).length) {
+        user.twoFactor.recoveryCodes = remaining;
+        verified = true;
+      }
+    }
+
+    if (!verified) {
+      await handleFailedLogin(req, user.email, user);
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await user.save();
+    await clearLoginFailures(user.email);
+
+    const closureCancelled = await cancelAccountClosure(user, req.app.get('io'));
+
+    await sendTokenResponse(user, 200, req, res, {
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+      ...(closureCancelled && { accountClosureCancelled: true })
+    });
+  } catch (error) {
+    console.error('Verify two-factor login error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Regenerate recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const lastUsedStep = user.twoFactor.lastUsedStep === undefined ? -1 : user.twoFactor.lastUsedStep;
+    const step = verifyCode(user.twoFactor.secret, req.body.code, lastUsedStep);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.json({
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (user.requiresTwoFactor()) {
+      return res.status(403).json({ message: 'Two-factor authentication is mandatory for your role' });
+    }
+
+    const isMatch = await user.matchPassword(req.body.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    const lastUsedStep = user.twoFactor.lastUsedStep === undefined ? -1 : user.twoFactor.lastUsedStep;
+    if (verifyCode(user.twoFactor.secret, req.body.code, lastUsedStep) === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.enabledAt = undefined;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.recoveryCodes = undefined;
+    user.twoFactor.lastUsedStep = undefined;
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Disable two-factor error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Finish university single sign-on and hand tokens to the client
+// @route   GET /api/auth/oidc/callback
+// @access  Public (IdP redirect)
+exports.oidcCallback = (req, res, next) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+
+  // Tokens go in the URL fragment so they never reach server logs or the Referer header
+  const redirectWith = (params) => {
+    res.redirect(`${clientUrl}/auth/sso-callback#${new URLSearchParams(params).toString()}`);
+  };
+
+  passport.authenticate('oidc', { session: false }, async (err, user, info) => {
+    try {
+      if (err) {
+        console.error('OIDC callback error:', err.message);
+        return redirectWith({ error: 'Single sign-on failed. Please try again.' });
+      }
+
+      if (!user) {
+        return redirectWith({ error: (info && info.message) || 'Single sign-on failed' });
+      }
+
+      // Same second-factor rules as password login
+      if (user.twoFactor && user.twoFactor.enabled) {
+        return redirectWith({
+          twoFactorRequired: 'true',
+          challengeToken: generateChallengeToken(user, '2fa-login', '5m')
+        });
+      }
+
+      if (user.requiresTwoFactor()) {
+        return redirectWith({
+          twoFactorSetupRequired: 'true',
+          challengeToken: generateChallengeToken(user, '2fa-setup', '15m')
+        });
+      }
+
+      await clearLoginFailures(user.email);
+
+      const closureCancelled = await cancelAccountClosure(user, req.app.get('io'));
+
+      redirectWith({
+        ...(closureCancelled && { accountClosureCancelled: 'true' }),
+        token: generateAccessToken(user),
+        refreshToken: await createRefreshToken(user, req)
+      });
+    } catch (error) {
+      console.error('OIDC callback error:', error.message);
+      next(error);
+    }
+  })(req, res, next);
+};
@@ -2,10 +2,38 @@ const { validationResult } = require('express-validator');
 const Blog = require('../models/Blog');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
+const Follow = require('../models/Follow');
+const { blogRoom } = require('../config/socket');
+const { storeUpload, removeStoredFile } = require('../utils/storage');
+const { PERMISSIONS } = require('../config/permissions');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { extractMentionIds } = require('../utils/mentions');
+const { publishBlog, notifyModeratorsOfSubmission } = require('../utils/blogPublishing');
+const { getLatestRevisionNumber, recordRevision, ensureBaselineRevision } = require('../utils/blogRevisions');
+
+// Title of like notifications, also used to find recent ones when throttling
+const LIKE_NOTIFICATION_TITLE = 'New Like on Your Blog';
+
+/**
+ * Minutes during which repeated likes from the same user on the same blog
+ * don't notify the author again
+ */
+const getLikeNotificationThrottleMinutes = () =>
+  parseInt(process.env.LIKE_NOTIFICATION_THROTTLE_MINUTES || '60');
+
+/**
+ * Blog as JSON with a flag telling whether the current user liked it
+ * @param {Object} blog Blog document
+ * @param {Object} [user] Authenticated user, if any
+ */
+const withLikedByMe = (blog, user) => ({
+  ...blog.toJSON(),
+  likedByMe: blog.isLikedBy(user && user.id)
+});
 
 // @desc    Create a new blog
 // @route   POST /api/blogs
-// @access  Private (Student)
+// @access  Private (blog:create)
 exports.createBlog = async (req, res, next) => {
   try {
     // Check for validation errors
@@ -14,14 +42,15 @@ exports.createBlog = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, content, tags, featuredImage } = req.body;
+    const { title, content, tags, featuredImage, status } = req.body;
 
     // Create new blog
     const newBlog = new Blog({
       title,
       content,
       author: req.user.id,
-      status: 'pending', // All new blogs are pending approval
+      // New blogs go straight to review unless saved as a draft
+      status: status === 'draft' ? 'draft' : 'pending',
       tags: tags ? tags.split(',').map(tag => tag.trim()) : []
     });
 
@@ -32,37 +61,17 @@ exports.createBlog = async (req, res, next) => {
 
     await newBlog.save();
 
-    // Notify admins about new blog submission
-    const admins = await User.find({ role: 'admin' });
-    
-    if (admins.length > 0) {
-      const notification = new Notification({
-        title: 'New Blog Submission',
-        message: `A new blog "${title}" has been submitted for approval.`,
-        sender: req.user.id,
-        recipients: 'specific',
-        targetUsers: admins.map(admin => admin._id),
-        urgencyLevel: 'info',
-        relatedTo: 'blog',
-        relatedId: newBlog._id,
-        notificationType: 'Blog'
-      });
-      
-      await notification.save();
-      
-      // Send real-time notification via Socket.io
-      const io = req.app.get('io');
-      admins.forEach(admin => {
-        io.to(admin._id.toString()).emit('notification', {
-          type: 'NEW_BLOG',
-          message: `New blog "${title}" submitted for approval`,
-          data: notification
-        });
-      });
+    await recordRevision(newBlog, req.user.id);
+
+    // Notify moderators about new blog submission
+    if (newBlog.status === 'pending') {
+      await notifyModeratorsOfSubmission(newBlog, req.user.id, req.app.get('io'));
     }
 
     res.status(201).json({
-      message: 'Blog submitted successfully and is pending approval',
+      message: newBlog.status === 'draft'
+        ? 'Draft saved'
+        : 'Blog submitted successfully and is pending approval',
       blog: newBlog
     });
   } catch (error) {
@@ -76,21 +85,28 @@ exports.createBlog = async (req, res, next) => {
 // @access  Public (with filtering for status)
 exports.getBlogs = async (req, res, next) => {
   try {
-    const { status, tag, search, page = 1, limit = 10 } = req.query;
+    const { status, tag, search, feed, page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
     
     // Build query
     const query = {};
     
-    // Filter by status (public users can only see approved blogs)
-    if (req.user && req.user.role === 'admin') {
-      // Admins can filter by any status
-      if (status) {
-        query.status = status;
+    // Filter by status (public users can only see approved blogs).
+    // The following feed shows published blogs by authors the user follows.
+    if (feed === 'following') {
+      if (!req.user) {
+        return res.status(401).json({ message: 'Authentication required' });
       }
+      
+      const following = await Follow.find({ follower: req.user.id }).distinct('following');
+      query.author = { $in: following };
+      Object.assign(query, Blog.publishedFilter());
+    } else if (req.user && req.user.hasPermission(PERMISSIONS.BLOG_MODERATE)) {
+      // Moderators can filter by any status except drafts, which stay private to their authors
+      query.status = status && status !== 'draft' ? status : { $ne: 'draft' };
     } else {
-      // Regular users and non-authenticated users can only see approved blogs
-      query.status = 'approved';
+      // Regular users and non-authenticated users can only see published blogs
+      Object.assign(query, Blog.publishedFilter());
     }
     
     // Filter by tag
@@ -105,7 +121,7 @@ exports.getBlogs = async (req, res, next) => {
     
     // Get blogs with pagination
     const blogs = await Blog.find(query)
-      .populate('author', 'name avatar')
+      .populate({ path: 'author', select: 'name avatar', options: { withDeleted: true } })
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -114,7 +130,7 @@ exports.getBlogs = async (req, res, next) => {
     const total = await Blog.countDocuments(query);
     
     res.json({
-      blogs,
+      blogs: blogs.map(blog => withLikedByMe(blog, req.user)),
       pagination: {
         total,
         page: parseInt(page),
@@ -134,30 +150,36 @@ exports.getBlogs = async (req, res, next) => {
 exports.getBlogById = async (req, res, next) => {
   try {
     const blog = await Blog.findById(req.params.id)
-      .populate('author', 'name avatar bio')
+      .populate({ path: 'author', select: 'name avatar bio', options: { withDeleted: true } })
       .populate('comments.user', 'name avatar');
     
     if (!blog) {
       return res.status(404).json({ message: 'Blog not found' });
     }
     
-    // Check if blog is approved or if user is author or admin
-    const isAuthorOrAdmin = req.user && (
-      req.user.role === 'admin' || 
-      blog.author._id.toString() === req.user.id
+    const isAuthor = Boolean(req.user) && blog.author._id.toString() === req.user.id;
+    
+    // Drafts are only visible to their author
+    if (blog.status === 'draft' && !isAuthor) {
+      return res.status(404).json({ message: 'Blog not found' });
+    }
+    
+    // Check if blog is published or if user is author or moderator
+    const isAuthorOrModerator = isAuthor || (
+      Boolean(req.user) && req.user.hasPermission(PERMISSIONS.BLOG_MODERATE)
     );
     
-    if (blog.status !== 'approved' && !isAuthorOrAdmin) {
+    if (!blog.isPublished() && !isAuthorOrModerator) {
       return res.status(403).json({ message: 'This blog is not published yet' });
     }
     
-    // Increment view count (only for approved blogs and not by the author)
-    if (blog.status === 'approved' && (!req.user || blog.author._id.toString() !== req.user.id)) {
+    // Increment view count (only for published blogs and not by the author)
+    if (blog.isPublished() && !isAuthor) {
       blog.views += 1;
       await blog.save();
     }
     
-    res.json(blog);
+    res.json(withLikedByMe(blog, req.user));
   } catch (error) {
     console.error('Get blog by ID error:', error.message);
     next(error);
@@ -183,19 +205,26 @@ exports.updateBlog = async (req, res, next) => {
       return res.status(404).json({ message: 'Blog not found' });
     }
     
-    // Check if user is the author of the blog
-    if (blog.author.toString() !== req.user.id && req.user.role !== 'admin') {
+    const canModerate = req.user.hasPermission(PERMISSIONS.BLOG_MODERATE);
+    
+    const isAuthor = blog.author.toString() === req.user.id;
+    
+    // Check if user is the author of the blog (drafts are private to the author)
+    if (!isAuthor && (!canModerate || blog.status === 'draft')) {
       return res.status(403).json({ message: 'Not authorized to update this blog' });
     }
     
-    // Only allow updates if blog is pending or rejected
-    // Once approved, students can't modify it (but admins can)
-    if (blog.status === 'approved' && req.user.role !== 'admin') {
+    // Only allow updates if blog is a draft, pending or rejected
+    // Once approved, authors can't modify it (but moderators can)
+    if (blog.status === 'approved' && !canModerate) {
       return res.status(403).json({ message: 'Cannot update an approved blog' });
     }
     
+    // Blogs from before revision tracking get their original state stored first
+    await ensureBaselineRevision(blog);
+    
     // If previously rejected, set back to pending on update
-    if (blog.status === 'rejected' && req.user.role !== 'admin') {
+    if (blog.status === 'rejected' && !canModerate) {
       blog.status = 'pending';
     }
     
@@ -207,41 +236,20 @@ exports.updateBlog = async (req, res, next) => {
       blog.tags = tags.split(',').map(tag => tag.trim());
     }
     
-    if (featuredImage) {
+    // Replacing an uploaded image with an external URL frees the stored file
+    if (featuredImage && featuredImage !== blog.featuredImage) {
+      await removeStoredFile(blog.featuredImageKey);
       blog.featuredImage = featuredImage;
+      blog.featuredImageKey = null;
     }
     
     await blog.save();
     
-    // If status changed to pending, notify admins again
-    if (blog.status === 'pending' && req.user.role !== 'admin') {
-      const admins = await User.find({ role: 'admin' });
-      
-      if (admins.length > 0) {
-        const notification = new Notification({
-          title: 'Blog Updated and Needs Review',
-          message: `Blog "${blog.title}" has been updated and needs review.`,
-          sender: req.user.id,
-          recipients: 'specific',
-          targetUsers: admins.map(admin => admin._id),
-          urgencyLevel: 'info',
-          relatedTo: 'blog',
-          relatedId: blog._id,
-          notificationType: 'Blog'
-        });
-        
-        await notification.save();
-        
-        // Send real-time notification
-        const io = req.app.get('io');
-        admins.forEach(admin => {
-          io.to(admin._id.toString()).emit('notification', {
-            type: 'BLOG_UPDATE',
-            message: `Blog "${blog.title}" updated and needs review`,
-            data: notification
-          });
-        });
-      }
+    await recordRevision(blog, req.user.id);
+    
+    // If status changed to pending, notify moderators again
+    if (blog.status === 'pending' && !canModerate) {
+      await notifyModeratorsOfSubmission(blog, req.user.id, req.app.get('io'));
     }
     
     res.json({
@@ -256,7 +264,7 @@ exports.updateBlog = async (req, res, next) => {
 
 // @desc    Delete blog
 // @route   DELETE /api/blogs/:id
-// @access  Private (Owner or Admin)
+// @access  Private (Owner or blog:moderate)
 exports.deleteBlog = async (req, res, next) => {
   try {
     const blog = await Blog.findById(req.params.id);
@@ -265,13 +273,24 @@ exports.deleteBlog = async (req, res, next) => {
       return res.status(404).json({ message: 'Blog not found' });
     }
     
-    // Check if user is the author or admin
-    if (blog.author.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user is the author or a moderator
+    if (blog.author.toString() !== req.user.id && !req.user.hasPermission(PERMISSIONS.BLOG_MODERATE)) {
       return res.status(403).json({ message: 'Not authorized to delete this blog' });
     }
     
     await blog.deleteOne();
     
+    // Removing someone else's blog is a moderation action
+    if (blog.author.toString() !== req.user.id) {
+      await recordAudit(req, {
+        action: 'blog.delete',
+        targetType: 'Blog',
+        target: blog,
+        targetLabel: blog.title,
+        before: snapshot(blog, ['title', 'author', 'status'])
+      });
+    }
+    
     res.json({ message: 'Blog removed' });
   } catch (error) {
     console.error('Delete blog error:', error.message);
@@ -279,12 +298,87 @@ exports.deleteBlog = async (req, res, next) => {
   }
 };
 
+// @desc    Upload blog featured image
+// @route   PUT /api/blogs/:id/featured-image
+// @access  Private (Owner or blog:moderate)
+exports.uploadFeaturedImage = async (req, res, next) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+    
+    if (!blog) {
+      return res.status(404).json({ message: 'Blog not found' });
+    }
+    
+    const canModerate = req.user.hasPermission(PERMISSIONS.BLOG_MODERATE);
+    
+    // Same rule as editing: authors can't change approved blogs
+    if (blog.status === 'approved' && !canModerate) {
+      return res.status(403).json({ message: 'Cannot update an approved blog' });
+    }
+    
+    const { key, url } = await storeUpload('blogs', req.file);
+    const previousKey = blog.featuredImageKey;
+    
+    blog.featuredImage = url;
+    blog.featuredImageKey = key;
+    await blog.save();
+    
+    // Only remove the old file once the new one is saved
+    await removeStoredFile(previousKey);
+    
+    res.json({
+      message: 'Featured image updated',
+      featuredImage: blog.featuredImage
+    });
+  } catch (error) {
+    console.error('Upload blog image error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Submit a draft (or a rejected blog) for review
+// @route   PUT /api/blogs/:id/submit
+// @access  Private (Owner)
+exports.submitBlog = async (req, res, next) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+    
+    // Drafts are private, so other users get the same response as for a missing blog
+    if (!blog || blog.author.toString() !== req.user.id) {
+      return res.status(404).json({ message: 'Blog not found' });
+    }
+    
+    if (!['draft', 'rejected'].includes(blog.status)) {
+      return res.status(400).json({ message: `A ${blog.status} blog cannot be submitted for review` });
+    }
+    
+    blog.status = 'pending';
+    await blog.save();
+    
+    await notifyModeratorsOfSubmission(blog, req.user.id, req.app.get('io'));
+    
+    res.json({
+      message: 'Blog submitted successfully and is pending approval',
+      blog
+    });
+  } catch (error) {
+    console.error('Submit blog error:', error.message);
+    next(error);
+  }
+};
+
 // @desc    Change blog status (approve/reject)
 // @route   PUT /api/blogs/:id/status
-// @access  Private (Admin only)
+// @access  Private (blog:moderate)
 exports.changeBlogStatus = async (req, res, next) => {
   try {
-    const { status, rejectionReason } = req.body;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { status, rejectionReason, publishAt } = req.body;
     
     if (!['approved', 'rejected'].includes(status)) {
       return res.status(400).json({ message: 'Invalid status' });
@@ -296,23 +390,69 @@ exports.changeBlogStatus = async (req, res, next) => {
       return res.status(404).json({ message: 'Blog not found' });
     }
     
+    // Drafts are private until the author submits them
+    if (blog.status === 'draft') {
+      return res.status(400).json({ message: 'Drafts must be submitted for review first' });
+    }
+    
+    // A live blog can't be pulled back into the schedule
+    if (status === 'approved' && publishAt && blog.publishedAt) {
+      return res.status(400).json({ message: 'Blog has already been published' });
+    }
+    
+    const before = snapshot(blog, ['status', 'rejectionReason', 'publishAt']);
+    
+    // Blogs from before revision tracking need a revision to mark as rejected
+    if (status === 'rejected') {
+      await ensureBaselineRevision(blog);
+    }
+    
     // Update status
     blog.status = status;
     
-    // If rejected, save reason
-    if (status === 'rejected' && rejectionReason) {
-      blog.rejectionReason = rejectionReason;
+    // If rejected, save reason and the revision that was rejected
+    if (status === 'rejected') {
+      if (rejectionReason) {
+        blog.rejectionReason = rejectionReason;
+      }
+      
+      blog.rejectedRevision = await getLatestRevisionNumber(blog._id);
     } else if (status === 'approved') {
       blog.rejectionReason = '';
+      blog.rejectedRevision = null;
     }
     
+    // Approved blogs go live now or at the scheduled time; rejection cancels any schedule
+    blog.publishAt = status === 'approved' && publishAt ? new Date(publishAt) : null;
+    const scheduled = Boolean(blog.publishAt);
+    
     await blog.save();
     
+    await recordAudit(req, {
+      action: 'blog.status_change',
+      targetType: 'Blog',
+      target: blog,
+      targetLabel: blog.title,
+      before,
+      after: snapshot(blog, ['status', 'rejectionReason', 'publishAt'])
+    });
+    
+    const io = req.app.get('io');
+    
+    // Scheduled blogs are announced by the publish-scheduled-blogs job when they go live
+    if (status === 'approved' && !scheduled) {
+      await publishBlog(blog, io);
+    }
+    
+    const approvalMessage = scheduled
+      ? `Your blog "${blog.title}" has been approved and will be published on ${blog.publishAt.toISOString()}.`
+      : `Your blog "${blog.title}" has been approved and published.`;
+    
     // Notify the author about the status change
     const notification = new Notification({
       title: `Blog ${status === 'approved' ? 'Approved' : 'Rejected'}`,
       message: status === 'approved' 
-        ? `Your blog "${blog.title}" has been approved and published.` 
+        ? approvalMessage 
         : `Your blog "${blog.title}" has been rejected. Reason: ${rejectionReason || 'No reason provided'}`,
       sender: req.user.id,
       recipients: 'specific',
@@ -326,7 +466,6 @@ exports.changeBlogStatus = async (req, res, next) => {
     await notification.save();
     
     // Send real-time notification
-    const io = req.app.get('io');
     io.to(blog.author.toString()).emit('notification', {
       type: 'BLOG_STATUS_CHANGE',
       message: status === 'approved' 
@@ -335,8 +474,15 @@ exports.changeBlogStatus = async (req, res, next) => {
       data: notification
     });
     
+    let message = 'Blog rejected';
+    if (status === 'approved') {
+      message = scheduled
+        ? `Blog approved and scheduled for ${blog.publishAt.toISOString()}`
+        : 'Blog approved and published';
+    }
+    
     res.json({
-      message: `Blog ${status === 'approved' ? 'approved and published' : 'rejected'}`,
+      message,
       blog
     });
   } catch (error) {
@@ -345,12 +491,199 @@ exports.changeBlogStatus = async (req, res, next) => {
   }
 };
 
-// @desc    Add comment to blog
+/**
+ * Push a blog's like count to the clients viewing it
+ * @param {Object} req Express request
+ * @param {String} blogId
+ * @returns {Promise<Number>} The current like count
+ */
+const broadcastLikeCount = async (req, blogId) => {
+  const blog = await Blog.findById(blogId).select('likes');
+  const likeCount = blog ? blog.likes.length : 0;
+  
+  const io = req.app.get('io');
+  io.to(blogRoom(blogId)).emit('blog_likes', { blogId, likeCount });
+  
+  return likeCount;
+};
+
+// @desc    Like a blog (liking twice has no further effect)
+// @route   POST /api/blogs/:id/like
+// @access  Private
+exports.likeBlog = async (req, res, next) => {
+  try {
+    const blog = await Blog.findById(req.params.id).select('title author status publishAt');
+    
+    if (!blog) {
+      return res.status(404).json({ message: 'Blog not found' });
+    }
+    
+    // Only allow likes on published blogs
+    if (!blog.isPublished()) {
+      return res.status(403).json({ message: 'Cannot like unpublished blogs' });
+    }
+    
+    const result = await Blog.updateOne(
+      { _id: blog._id },
+      { $addToSet: { likes: req.user.id } }
+    );
+    
+    const likeCount = await broadcastLikeCount(req, blog._id.toString());
+    
+    // Notify the author about a new like, at most once per liker and blog
+    // within the throttle window so like/unlike loops don't spam them
+    if (result.modifiedCount > 0 && blog.author.toString() !== req.user.id) {
+      const since = new Date(Date.now() - getLikeNotificationThrottleMinutes() * 60 * 1000);
+      
+      const recentlyNotified = await Notification.exists({
+        title: LIKE_NOTIFICATION_TITLE,
+        sender: req.user.id,
+        relatedId: blog._id,
+        createdAt: { $gte: since }
+      });
+      
+      if (!recentlyNotified) {
+        const notification = new Notification({
+          title: LIKE_NOTIFICATION_TITLE,
+          message: `${req.user.name} liked your blog "${blog.title}"`,
+          sender: req.user.id,
+          recipients: 'specific',
+          targetUsers: [blog.author],
+          urgencyLevel: 'info',
+          relatedTo: 'blog',
+          relatedId: blog._id,
+          notificationType: 'Blog'
+        });
+        
+        await notification.save();
+        
+        // Send real-time notification
+        const io = req.app.get('io');
+        io.to(blog.author.toString()).emit('notification', {
+          type: 'NEW_LIKE',
+          message: `${req.user.name} liked your blog "${blog.title}"`,
+          data: notification
+        });
+      }
+    }
+    
+    res.json({ liked: true, likeCount });
+  } catch (error) {
+    console.error('Like blog error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Remove a like from a blog (no effect if the user hadn't liked it)
+// @route   DELETE /api/blogs/:id/like
+// @access  Private
+exports.unlikeBlog = async (req, res, next) => {
+  try {
+    const blog = await Blog.findById(req.params.id).select('status publishAt');
+    
+    if (!blog) {
+      return res.status(404).json({ message: 'Blog not found' });
+    }
+    
+    if (!blog.isPublished()) {
+      return res.status(403).json({ message: 'Cannot unlike unpublished blogs' });
+    }
+    
+    await Blog.updateOne(
+      { _id: blog._id },
+      { $pull: { likes: req.user.id } }
+    );
+    
+    const likeCount = await broadcastLikeCount(req, blog._id.toString());
+    
+    res.json({ liked: false, likeCount });
+  } catch (error) {
+    console.error('Unlike blog error:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * Active users mentioned in a comment, excluding the commenter
+ * @param {String} text Comment text
+ * @param {String} commenterId
+ * @returns {Promise<String[]>} User IDs
+ */
+const findMentionedUsers = async (text, commenterId) => {
+  const ids = extractMentionIds(text).filter(id => id !== commenterId);
+  
+  if (ids.length === 0) {
+    return [];
+  }
+  
+  const users = await User.find({ _id: { $in: ids }, isActive: true }).select('_id');
+  return users.map(user => user._id.toString());
+};
+
+/**
+ * Send a blog notification to a list of users, in-app and over Socket.io
+ * @param {Object} req Express request (the sender)
+ * @param {Object} blog Blog the notification is about
+ * @param {String[]} userIds Recipients
+ * @param {Object} content
+ * @param {String} content.title Notification title
+ * @param {String} content.message Notification message
+ * @param {String} content.type Socket.io event type
+ */
+const notifyBlogUsers = async (req, blog, userIds, { title, message, type }) => {
+  if (userIds.length === 0) {
+    return;
+  }
+  
+  const notification = new Notification({
+    title,
+    message,
+    sender: req.user.id,
+    recipients: 'specific',
+    targetUsers: userIds,
+    urgencyLevel: 'info',
+    relatedTo: 'blog',
+    relatedId: blog._id,
+    notificationType: 'Blog'
+  });
+  
+  await notification.save();
+  
+  // Send real-time notification
+  const io = req.app.get('io');
+  io.to(userIds.map(id => id.toString())).emit('notification', {
+    type,
+    message,
+    data: notification
+  });
+};
+
+/**
+ * Notify users newly mentioned in a comment
+ * @param {Object} req Express request (the commenter)
+ * @param {Object} blog
+ * @param {String[]} userIds Mentioned users who haven't been told yet
+ */
+const notifyMentions = (req, blog, userIds) => {
+  return notifyBlogUsers(req, blog, userIds, {
+    title: 'You Were Mentioned in a Comment',
+    message: `${req.user.name} mentioned you in a comment on "${blog.title}"`,
+    type: 'COMMENT_MENTION'
+  });
+};
+
+// @desc    Add comment to blog, or reply to a comment (parentId)
 // @route   POST /api/blogs/:id/comments
 // @access  Private
 exports.addComment = async (req, res, next) => {
   try {
-    const { text } = req.body;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { text, parentId } = req.body;
     
     if (!text) {
       return res.status(400).json({ message: 'Comment text is required' });
@@ -362,25 +695,59 @@ exports.addComment = async (req, res, next) => {
       return res.status(404).json({ message: 'Blog not found' });
     }
     
-    // Only allow comments on approved blogs
-    if (blog.status !== 'approved') {
+    // Only allow comments on published blogs
+    if (!blog.isPublished()) {
       return res.status(403).json({ message: 'Cannot comment on unpublished blogs' });
     }
     
+    // A reply to a reply joins the same thread, so replies stay one level deep
+    let repliedTo = null;
+    let threadId = null;
+    
+    if (parentId) {
+      repliedTo = blog.comments.id(parentId);
+      
+      if (!repliedTo) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      
+      if (repliedTo.removedAt) {
+        return res.status(400).json({ message: 'Cannot reply to a removed comment' });
+      }
+      
+      threadId = repliedTo.parent || repliedTo._id;
+    }
+    
     const user = await User.findById(req.user.id).select('name avatar');
+    const mentions = await findMentionedUsers(text, req.user.id);
     
     const newComment = {
       user: req.user.id,
       text,
       name: user.name,
-      avatar: user.avatar
+      avatar: user.avatar,
+      parent: threadId,
+      mentions
     };
     
     blog.comments.unshift(newComment);
     await blog.save();
     
+    // Each person hears about the comment once, through the most specific notification
+    const notified = new Set([req.user.id]);
+    
+    // Notify the author of the comment being replied to
+    if (repliedTo && repliedTo.user && !notified.has(repliedTo.user.toString())) {
+      await notifyBlogUsers(req, blog, [repliedTo.user.toString()], {
+        title: 'New Reply to Your Comment',
+        message: `${user.name} replied to your comment on "${blog.title}"`,
+        type: 'COMMENT_REPLY'
+      });
+      notified.add(repliedTo.user.toString());
+    }
+    
     // Notify blog author about the new comment (if not self-commenting)
-    if (blog.author.toString() !== req.user.id) {
+    if (!notified.has(blog.author.toString())) {
       const notification = new Notification({
         title: 'New Comment on Your Blog',
         message: `${user.name} commented on your blog "${blog.title}"`,
@@ -402,8 +769,11 @@ exports.addComment = async (req, res, next) => {
         message: `New comment on your blog "${blog.title}"`,
         data: notification
       });
+      notified.add(blog.author.toString());
     }
     
+    await notifyMentions(req, blog, mentions.filter(id => !notified.has(id)));
+    
     res.json(blog.comments);
   } catch (error) {
     console.error('Add comment error:', error.message);
@@ -411,6 +781,191 @@ exports.addComment = async (req, res, next) => {
   }
 };
 
+// @desc    Edit a comment
+// @route   PUT /api/blogs/:id/comments/:commentId
+// @access  Private (comment author)
+exports.updateComment = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { text } = req.body;
+    
+    const blog = await Blog.findById(req.params.id);
+    
+    if (!blog) {
+      return res.status(404).json({ message: 'Blog not found' });
+    }
+    
+    const comment = blog.comments.id(req.params.commentId);
+    
+    if (!comment || comment.removedAt) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    if (!comment.user || comment.user.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to edit this comment' });
+    }
+    
+    const previousMentions = comment.mentions.map(id => id.toString());
+    const mentions = await findMentionedUsers(text, req.user.id);
+    
+    comment.text = text;
+    comment.mentions = mentions;
+    comment.editedAt = new Date();
+    await blog.save();
+    
+    // Only users added by the edit are notified
+    await notifyMentions(req, blog, mentions.filter(id => !previousMentions.includes(id)));
+    
+    res.json(comment);
+  } catch (error) {
+    console.error('Update comment error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Delete your own comment. Comments with replies are replaced by a
+//          placeholder so the thread is kept.
+// @route   DELETE /api/blogs/:id/comments/:commentId
+// @access  Private (comment author)
+exports.deleteComment = async (req, res, next) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+    
+    if (!blog) {
+      return res.status(404).json({ message: 'Blog not found' });
+    }
+    
+    const comment = blog.comments.id(req.params.commentId);
+    
+    if (!comment || comment.removedAt) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    if (!comment.user || comment.user.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to delete this comment' });
+    }
+    
+    const hasReplies = blog.comments.some(
+      reply => reply.parent && reply.parent.toString() === comment._id.toString()
+    );
+    
+    if (hasReplies) {
+      comment.set({ text: '', mentions: [], removedAt: new Date(), removedBy: req.user.id });
+    } else {
+      const threadId = comment.parent;
+      comment.deleteOne();
+      
+      // Drop a removed thread starter once its last reply is gone
+      const thread = threadId ? blog.comments.id(threadId) : null;
+      const threadHasReplies = thread && blog.comments.some(
+        reply => reply.parent && reply.parent.toString() === thread._id.toString()
+      );
+      
+      if (thread && thread.removedAt && !threadHasReplies) {
+        thread.deleteOne();
+      }
+    }
+    
+    await blog.save();
+    
+    res.json({ message: 'Comment deleted' });
+  } catch (error) {
+    console.error('Delete comment error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Remove a comment as a moderator
+// @route   PUT /api/blogs/:id/comments/:commentId/remove
+// @access  Private (blog:moderate)
+exports.removeComment = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { reason } = req.body;
+    
+    const blog = await Blog.findById(req.params.id);
+    
+    if (!blog) {
+      return res.status(404).json({ message: 'Blog not found' });
+    }
+    
+    const comment = blog.comments.id(req.params.commentId);
+    
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    if (comment.removedAt) {
+      return res.status(400).json({ message: 'Comment has already been removed' });
+    }
+    
+    // The removed text is kept in the audit log only
+    const before = snapshot(comment, ['text']);
+    
+    comment.set({
+      text: '',
+      mentions: [],
+      removedAt: new Date(),
+      removedBy: req.user.id,
+      removalReason: reason
+    });
+    await blog.save();
+    
+    await recordAudit(req, {
+      action: 'blog.comment_remove',
+      targetType: 'Blog',
+      target: blog,
+      targetLabel: blog.title,
+      before,
+      after: snapshot(comment, ['text']),
+      metadata: { commentId: comment._id, commentAuthor: comment.user, reason }
+    });
+    
+    // Let the commenter know why their comment was removed
+    if (comment.user && comment.user.toString() !== req.user.id) {
+      const notification = new Notification({
+        title: 'Comment Removed',
+        message: `Your comment on "${blog.title}" was removed by a moderator. Reason: ${reason}`,
+        sender: req.user.id,
+        recipients: 'specific',
+        targetUsers: [comment.user],
+        urgencyLevel: 'important',
+        relatedTo: 'blog',
+        relatedId: blog._id,
+        notificationType: 'Blog'
+      });
+      
+      await notification.save();
+      
+      // Send real-time notification
+      const io = req.app.get('io');
+      io.to(comment.user.toString()).emit('notification', {
+        type: 'COMMENT_REMOVED',
+        message: `Your comment on "${blog.title}" was removed`,
+        data: notification
+      });
+    }
+    
+    res.json({
+      message: 'Comment removed',
+      comment
+    });
+  } catch (error) {
+    console.error('Remove comment error:', error.message);
+    next(error);
+  }
+};
+
 // @desc    Get all blogs by current user
 // @route   GET /api/blogs/my-blogs
 // @access  Private
@@ -437,7 +992,7 @@ exports.getMyBlogs = async (req, res, next) => {
     const total = await Blog.countDocuments(query);
     
     res.json({
-      blogs,
+      blogs: blogs.map(blog => withLikedByMe(blog, req.user)),
       pagination: {
         total,
         page: parseInt(page),
@@ -0,0 +1,196 @@
+const { validationResult } = require('express-validator');
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const { PERMISSIONS } = require('../config/permissions');
+const { recordRevision, ensureBaselineRevision, diffRevisions } = require('../utils/blogRevisions');
+const { notifyModeratorsOfSubmission } = require('../utils/blogPublishing');
+
+/**
+ * Whether the user can see a blog's revisions: its author, or a moderator
+ * (drafts are private to the author)
+ * @param {Object} blog
+ * @param {Object} user
+ */
+const canViewRevisions = (blog, user) => {
+  if (blog.author.toString() === user.id) return true;
+  return blog.status !== 'draft' && user.hasPermission(PERMISSIONS.BLOG_MODERATE);
+};
+
+// @desc    List a blog's revisions (newest first, without content)
+// @route   GET /api/blogs/:id/revisions
+// @access  Private (Owner or blog:moderate)
+exports.getRevisions = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const blog = await Blog.findById(req.params.id).select('author status');
+
+    if (!blog || !canViewRevisions(blog, req.user)) {
+      return res.status(404).json({ message: 'Blog not found' });
+    }
+
+    const revisions = await BlogRevision.find({ blog: blog._id })
+      .select('-content')
+      .populate({ path: 'editor', select: 'name avatar', options: { withDeleted: true } })
+      .sort({ number: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await BlogRevision.countDocuments({ blog: blog._id });
+
+    res.json({
+      revisions,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Compare two revisions (from defaults to the revision before "to",
+//          to defaults to the latest revision)
+// @route   GET /api/blogs/:id/revisions/diff
+// @access  Private (Owner or blog:moderate)
+exports.getRevisionDiff = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const blog = await Blog.findById(req.params.id).select('author status rejectedRevision');
+
+    if (!blog || !canViewRevisions(blog, req.user)) {
+      return res.status(404).json({ message: 'Blog not found' });
+    }
+
+    const to = req.query.to
+      ? await BlogRevision.findOne({ blog: blog._id, number: req.query.to })
+      : await BlogRevision.findOne({ blog: blog._id }).sort({ number: -1 });
+
+    if (!to) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    // By default a resubmitted blog is compared with the revision that was rejected
+    const sinceRejection = blog.rejectedRevision && blog.rejectedRevision < to.number;
+
+    const from = await BlogRevision.findOne({
+      blog: blog._id,
+      number: req.query.from || (sinceRejection ? blog.rejectedRevision : to.number - 1)
+    });
+
+    if (!from) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json({
+      from: { number: from.number, status: from.status, editor: from.editor, createdAt: from.createdAt },
+      to: { number: to.number, status: to.status, editor: to.editor, createdAt: to.createdAt },
+      diff: diffRevisions(from, to)
+    });
+  } catch (error) {
+    console.error('Get revision diff error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Get a single revision with its content
+// @route   GET /api/blogs/:id/revisions/:number
+// @access  Private (Owner or blog:moderate)
+exports.getRevision = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const blog = await Blog.findById(req.params.id).select('author status');
+
+    if (!blog || !canViewRevisions(blog, req.user)) {
+      return res.status(404).json({ message: 'Blog not found' });
+    }
+
+    const revision = await BlogRevision.findOne({ blog: blog._id, number: req.params.number })
+      .populate({ path: 'editor', select: 'name avatar', options: { withDeleted: true } });
+
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json(revision);
+  } catch (error) {
+    console.error('Get revision error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Restore an older revision's title, content and tags (saved as a new revision)
+// @route   POST /api/blogs/:id/revisions/:number/restore
+// @access  Private (Owner or blog:moderate)
+exports.restoreRevision = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const blog = await Blog.findById(req.params.id);
+
+    if (!blog || !canViewRevisions(blog, req.user)) {
+      return res.status(404).json({ message: 'Blog not found' });
+    }
+
+    const canModerate = req.user.hasPermission(PERMISSIONS.BLOG_MODERATE);
+
+    // Same rule as editing: once approved, only moderators can change it
+    if (blog.status === 'approved' && !canModerate) {
+      return res.status(403).json({ message: 'Cannot update an approved blog' });
+    }
+
+    const revision = await BlogRevision.findOne({ blog: blog._id, number: req.params.number });
+
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    await ensureBaselineRevision(blog);
+
+    blog.title = revision.title;
+    blog.content = revision.content;
+    blog.tags = revision.tags;
+
+    // A rejected blog goes back into review when its author changes it
+    const resubmitted = blog.status === 'rejected' && !canModerate;
+    if (resubmitted) {
+      blog.status = 'pending';
+    }
+
+    await blog.save();
+
+    const restored = await recordRevision(blog, req.user.id, { restoredFrom: revision.number });
+
+    if (resubmitted) {
+      await notifyModeratorsOfSubmission(blog, req.user.id, req.app.get('io'));
+    }
+
+    res.json({
+      message: `Revision ${revision.number} restored`,
+      revision: restored.number,
+      blog
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error.message);
+    next(error);
+  }
+};
@@ -3,10 +3,18 @@ const Contest = require('../models/Contest');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
 const Payment = require('../models/Payment');
+const { storeUpload, removeStoredFile } = require('../utils/storage');
+const { snapshot, recordAudit } = require('../utils/audit');
+
+// Contest fields compared in audit log entries
+const AUDITED_CONTEST_FIELDS = [
+  'title', 'startDate', 'endDate', 'registrationDeadline', 'entryFee',
+  'maxParticipants', 'location', 'category', 'status', 'isActive'
+];
 
 // @desc    Create a new contest
 // @route   POST /api/contests
-// @access  Private (Admin)
+// @access  Private (contest:manage)
 exports.createContest = async (req, res, next) => {
   try {
     // Check for validation errors
@@ -51,6 +59,14 @@ exports.createContest = async (req, res, next) => {
 
     await newContest.save();
 
+    await recordAudit(req, {
+      action: 'contest.create',
+      targetType: 'Contest',
+      target: newContest,
+      targetLabel: newContest.title,
+      after: snapshot(newContest, AUDITED_CONTEST_FIELDS)
+    });
+
     // Notify all students about new contest
     const students = await User.find({ role: 'student' }).select('_id');
 
@@ -165,8 +181,9 @@ exports.getContestById = async (req, res, next) => {
     let registrationStatus = null;
 
     if (req.user) {
+      // Deleted accounts populate as null until they are purged
       const participant = contest.participants.find(
-        p => p.user._id.toString() === req.user.id
+        p => p.user && p.user._id.toString() === req.user.id
       );
       
       if (participant) {
@@ -188,7 +205,7 @@ exports.getContestById = async (req, res, next) => {
 
 // @desc    Update contest
 // @route   PUT /api/contests/:id
-// @access  Private (Admin)
+// @access  Private (contest:manage)
 exports.updateContest = async (req, res, next) => {
   try {
     // Check for validation errors
@@ -218,6 +235,8 @@ exports.updateContest = async (req, res, next) => {
       return res.status(404).json({ message: 'Contest not found' });
     }
 
+    const before = snapshot(contest, AUDITED_CONTEST_FIELDS);
+
     // Update fields
     if (title) contest.title = title;
     if (description) contest.description = description;
@@ -228,12 +247,26 @@ exports.updateContest = async (req, res, next) => {
     if (maxParticipants !== undefined) contest.maxParticipants = maxParticipants;
     if (location) contest.location = location;
     if (category) contest.category = category;
-    if (featuredImage) contest.featuredImage = featuredImage;
+    if (featuredImage && featuredImage !== contest.featuredImage) {
+      // Replacing an uploaded image with an external URL frees the stored file
+      await removeStoredFile(contest.featuredImageKey);
+      contest.featuredImage = featuredImage;
+      contest.featuredImageKey = null;
+    }
     if (status) contest.status = status;
     if (isActive !== undefined) contest.isActive = isActive;
 
     await contest.save();
 
+    await recordAudit(req, {
+      action: 'contest.update',
+      targetType: 'Contest',
+      target: contest,
+      targetLabel: contest.title,
+      before,
+      after: snapshot(contest, AUDITED_CONTEST_FIELDS)
+    });
+
     // Notify registered participants about changes
     if (contest.participants.length > 0) {
       const participantIds = contest.participants.map(p => p.user);
@@ -273,9 +306,40 @@ exports.updateContest = async (req, res, next) => {
   }
 };
 
+// @desc    Upload contest featured image
+// @route   PUT /api/contests/:id/featured-image
+// @access  Private (contest:manage)
+exports.uploadFeaturedImage = async (req, res, next) => {
+  try {
+    const contest = await Contest.findById(req.params.id);
+
+    if (!contest) {
+      return res.status(404).json({ message: 'Contest not found' });
+    }
+
+    const { key, url } = await storeUpload('contests', req.file);
+    const previousKey = contest.featuredImageKey;
+
+    contest.featuredImage = url;
+    contest.featuredImageKey = key;
+    await contest.save();
+
+    // Only remove the old file once the new one is saved
+    await removeStoredFile(previousKey);
+
+    res.json({
+      message: 'Featured image updated',
+      featuredImage: contest.featuredImage
+    });
+  } catch (error) {
+    console.error('Upload contest image error:', error.message);
+    next(error);
+  }
+};
+
 // @desc    Register for contest
 // @route   POST /api/contests/:id/register
-// @access  Private (Student)
+// @access  Private (contest:register)
 exports.registerForContest = async (req, res, next) => {
   try {
     const contest = await Contest.findById(req.params.id);
@@ -356,6 +420,90 @@ exports.registerForContest = async (req, res, next) => {
   }
 };
 
+// @desc    Record contest results for participants
+// @route   PUT /api/contests/:id/results
+// @access  Private (contest:manage, API key scope contests:write)
+exports.recordResults = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const contest = await Contest.findById(req.params.id);
+
+    if (!contest) {
+      return res.status(404).json({ message: 'Contest not found' });
+    }
+
+    // Results must belong to registered participants
+    const unknownUsers = req.body.results
+      .map(result => result.user)
+      .filter(userId => !contest.participants.some(p => p.user.toString() === userId));
+
+    if (unknownUsers.length > 0) {
+      return res.status(400).json({
+        message: 'Results can only be recorded for registered participants',
+        unknownUsers
+      });
+    }
+
+    req.body.results.forEach(({ user, rank, score, award }) => {
+      const participant = contest.participants.find(p => p.user.toString() === user);
+      participant.result = { rank, score, award };
+    });
+
+    const firstPublication = !contest.resultsPublishedAt;
+    contest.resultsPublishedAt = contest.resultsPublishedAt || new Date();
+
+    await contest.save();
+
+    await recordAudit(req, {
+      action: 'contest.results',
+      targetType: 'Contest',
+      target: contest,
+      targetLabel: contest.title,
+      metadata: { results: req.body.results }
+    });
+
+    // Let participants know their results are available
+    const participantIds = req.body.results.map(result => result.user);
+
+    const notification = new Notification({
+      title: firstPublication ? 'Contest Results Published' : 'Contest Results Updated',
+      message: `Results for "${contest.title}" are now available.`,
+      sender: req.user.id,
+      recipients: 'specific',
+      targetUsers: participantIds,
+      urgencyLevel: 'info',
+      relatedTo: 'contest',
+      relatedId: contest._id,
+      notificationType: 'Contest'
+    });
+
+    await notification.save();
+
+    // Send real-time notification
+    const io = req.app.get('io');
+    participantIds.forEach(userId => {
+      io.to(userId.toString()).emit('notification', {
+        type: 'CONTEST_RESULTS',
+        message: `Results for "${contest.title}" are available`,
+        data: notification
+      });
+    });
+
+    res.json({
+      message: 'Results recorded successfully',
+      contest
+    });
+  } catch (error) {
+    console.error('Record contest results error:', error.message);
+    next(error);
+  }
+};
+
 // @desc    Get registered contests for current user
 // @route   GET /api/contests/my-contests
 // @access  Private
@@ -389,7 +537,8 @@ exports.getMyContests = async (req, res, next) => {
         ...contest.toObject(),
         registrationDetails: {
           registeredAt: participant.registeredAt,
-          paymentStatus: participant.paymentStatus
+          paymentStatus: participant.paymentStatus,
+          result: contest.resultsPublishedAt ? participant.result : undefined
         }
       };
     });
@@ -0,0 +1,164 @@
+const { validationResult } = require('express-validator');
+const Department = require('../models/Department');
+const User = require('../models/User');
+const { PERMISSIONS } = require('../config/permissions');
+const { snapshot, recordAudit } = require('../utils/audit');
+
+// Fields compared in audit log entries
+const AUDITED_FIELDS = ['name', 'code', 'aliases', 'isActive'];
+
+// @desc    Get all departments
+// @route   GET /api/departments
+// @access  Public (inactive departments only for academic:manage)
+exports.getDepartments = async (req, res, next) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' &&
+      req.user && req.user.hasPermission(PERMISSIONS.ACADEMIC_MANAGE);
+
+    const query = includeInactive ? {} : { isActive: true };
+
+    const departments = await Department.find(query).sort({ name: 1 });
+
+    res.json(departments);
+  } catch (error) {
+    console.error('Get departments error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Create a department
+// @route   POST /api/departments
+// @access  Private (academic:manage)
+exports.createDepartment = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, code, aliases } = req.body;
+
+    const existing = await Department.findOne({ $or: [{ name }, { code: code.toUpperCase() }] });
+    if (existing) {
+      return res.status(400).json({ message: 'A department with that name or code already exists' });
+    }
+
+    const department = await Department.create({ name, code, aliases });
+
+    await recordAudit(req, {
+      action: 'department.create',
+      targetType: 'Department',
+      target: department,
+      targetLabel: department.name,
+      after: snapshot(department, AUDITED_FIELDS)
+    });
+
+    res.status(201).json({
+      message: 'Department created successfully',
+      department
+    });
+  } catch (error) {
+    console.error('Create department error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Update a department
+// @route   PUT /api/departments/:id
+// @access  Private (academic:manage)
+exports.updateDepartment = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const department = await Department.findById(req.params.id);
+
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    const before = snapshot(department, AUDITED_FIELDS);
+
+    const { name, code, aliases, isActive } = req.body;
+
+    if (name || code) {
+      const conflict = await Department.findOne({
+        _id: { $ne: department._id },
+        $or: [
+          ...(name ? [{ name }] : []),
+          ...(code ? [{ code: code.toUpperCase() }] : [])
+        ]
+      });
+
+      if (conflict) {
+        return res.status(400).json({ message: 'A department with that name or code already exists' });
+      }
+    }
+
+    if (name) department.name = name;
+    if (code) department.code = code;
+    if (aliases) department.aliases = aliases;
+    if (isActive !== undefined) department.isActive = isActive;
+
+    await department.save();
+
+    await recordAudit(req, {
+      action: 'department.update',
+      targetType: 'Department',
+      target: department,
+      targetLabel: department.name,
+      before,
+      after: snapshot(department, AUDITED_FIELDS)
+    });
+
+    res.json({
+      message: 'Department updated successfully',
+      department
+    });
+  } catch (error) {
+    console.error('Update department error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Delete a department (only when no users reference it; deactivate it otherwise)
+// @route   DELETE /api/departments/:id
+// @access  Private (academic:manage)
+exports.deleteDepartment = async (req, res, next) => {
+  try {
+    const department = await Department.findById(req.params.id);
+
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    const userCount = await User.countDocuments({ department: department._id })
+      .setOptions({ withDeleted: true });
+
+    if (userCount > 0) {
+      return res.status(409).json({
+        message: 'Department is assigned to users. Deactivate it instead.',
+        userCount
+      });
+    }
+
+    await department.deleteOne();
+
+    await recordAudit(req, {
+      action: 'department.delete',
+      targetType: 'Department',
+      target: department,
+      targetLabel: department.name,
+      before: snapshot(department, AUDITED_FIELDS)
+    });
+
+    res.json({ message: 'Department deleted' });
+  } catch (error) {
+    console.error('Delete department error:', error.message);
+    next(error);
+  }
+};
@@ -0,0 +1,183 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+
+/**
+ * Page through the users on one side of a follow relationship.
+ * Deleted and suspended accounts are left out.
+ * @param {Object} match Follow filter, e.g. { following: userId }
+ * @param {String} userField Side to return: 'follower' or 'following'
+ * @param {Number} page
+ * @param {Number} limit
+ */
+const listFollowUsers = async (match, userField, page, limit) => {
+  const [result] = await Follow.aggregate([
+    { $match: match },
+    { $lookup: { from: User.collection.collectionName, localField: userField, foreignField: '_id', as: 'user' } },
+    { $unwind: '$user' },
+    { $match: { 'user.deletedAt': null, 'user.isActive': true } },
+    { $sort: { createdAt: -1 } },
+    {
+      $facet: {
+        users: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              _id: 0,
+              id: '$user._id',
+              name: '$user.name',
+              avatar: '$user.avatar',
+              followedAt: '$createdAt'
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  return {
+    users: result.users,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// @desc    Follow a user
+// @route   POST /api/users/:id/follow
+// @access  Private
+exports.followUser = async (req, res, next) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot follow yourself' });
+    }
+
+    const user = await User.findById(req.params.id).select('name isActive');
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const existing = await Follow.findOne({ follower: req.user.id, following: user._id });
+
+    if (existing) {
+      return res.status(400).json({ message: 'You are already following this user' });
+    }
+
+    try {
+      await Follow.create({ follower: req.user.id, following: user._id });
+    } catch (error) {
+      // A concurrent request created the same follow first
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'You are already following this user' });
+      }
+      throw error;
+    }
+
+    res.status(201).json({ message: `You are now following ${user.name}` });
+  } catch (error) {
+    console.error('Follow user error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Unfollow a user
+// @route   DELETE /api/users/:id/follow
+// @access  Private
+exports.unfollowUser = async (req, res, next) => {
+  try {
+    const result = await Follow.deleteOne({ follower: req.user.id, following: req.params.id });
+
+    if (result.deletedCount === 0) {
+      return res.status(400).json({ message: 'You are not following this user' });
+    }
+
+    res.json({ message: 'User unfollowed' });
+  } catch (error) {
+    console.error('Unfollow user error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Get the users following a user
+// @route   GET /api/users/:id/followers
+// @access  Public
+exports.getFollowers = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+
+    const user = await User.findById(req.params.id).select('isActive');
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { users, pagination } = await listFollowUsers(
+      { following: user._id },
+      'follower',
+      parseInt(page),
+      parseInt(limit)
+    );
+
+    // Lets the client render a follow/unfollow button
+    const isFollowing = req.user
+      ? Boolean(await Follow.exists({ follower: req.user.id, following: user._id }))
+      : false;
+
+    res.json({ followers: users, isFollowing, pagination });
+  } catch (error) {
+    console.error('Get followers error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Get the users a user follows
+// @route   GET /api/users/:id/following
+// @access  Public
+exports.getFollowing = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+
+    const user = await User.findById(req.params.id).select('isActive');
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { users, pagination } = await listFollowUsers(
+      { follower: user._id },
+      'following',
+      parseInt(page),
+      parseInt(limit)
+    );
+
+    // Lets the client render a follow/unfollow button
+    const isFollowing = req.user
+      ? Boolean(await Follow.exists({ follower: req.user.id, following: user._id }))
+      : false;
+
+    res.json({ following: users, isFollowing, pagination });
+  } catch (error) {
+    console.error('Get following error:', error.message);
+    next(error);
+  }
+};
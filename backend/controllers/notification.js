@@ -1,10 +1,11 @@
 const { validationResult } = require('express-validator');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const { snapshot, recordAudit } = require('../utils/audit');
 
 // @desc    Create a new notification
 // @route   POST /api/notifications
-// @access  Private (Admin)
+// @access  Private (notification:broadcast)
 exports.createNotification = async (req, res, next) => {
   try {
     // Check for validation errors
@@ -59,6 +60,14 @@ exports.createNotification = async (req, res, next) => {
     const notification = new Notification(notificationData);
     await notification.save();
 
+    await recordAudit(req, {
+      action: 'notification.create',
+      targetType: 'Notification',
+      target: notification,
+      targetLabel: notification.title,
+      metadata: { recipients: notification.recipients, recipientCount: notification.targetUsers.length }
+    });
+
     // Send real-time notification via Socket.io
     const io = req.app.get('io');
     notification.targetUsers.forEach(userId => {
@@ -157,7 +166,7 @@ exports.markAsRead = async (req, res, next) => {
 
 // @desc    Get all notifications (admin)
 // @route   GET /api/notifications/all
-// @access  Private (Admin)
+// @access  Private (notification:broadcast)
 exports.getAllNotifications = async (req, res, next) => {
   try {
     const { page = 1, limit = 10 } = req.query;
@@ -191,7 +200,7 @@ exports.getAllNotifications = async (req, res, next) => {
 
 // @desc    Delete notification
 // @route   DELETE /api/notifications/:id
-// @access  Private (Admin)
+// @access  Private (notification:broadcast)
 exports.deleteNotification = async (req, res, next) => {
   try {
     const notification = await Notification.findById(req.params.id);
@@ -202,6 +211,14 @@ exports.deleteNotification = async (req, res, next) => {
 
     await notification.deleteOne();
 
+    await recordAudit(req, {
+      action: 'notification.delete',
+      targetType: 'Notification',
+      target: notification,
+      targetLabel: notification.title,
+      before: snapshot(notification, ['title', 'message', 'sender', 'recipients', 'urgencyLevel'])
+    });
+
     res.json({ message: 'Notification removed' });
   } catch (error) {
     console.error('Delete notification error:', error.message);
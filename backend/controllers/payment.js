@@ -4,6 +4,7 @@ const Payment = require('../models/Payment');
 const Contest = require('../models/Contest');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
+const { PERMISSIONS } = require('../config/permissions');
 
 // Razorpay configuration
 const razorpayKeyId = process.env.RAZORPAY_KEY_ID || 'your_razorpay_key_id';
@@ -234,7 +235,7 @@ exports.getPaymentHistory = async (req, res, next) => {
 
 // @desc    Get all payments (admin)
 // @route   GET /api/payments/all
-// @access  Private (Admin)
+// @access  Private (payment:manage)
 exports.getAllPayments = async (req, res, next) => {
   try {
     const { page = 1, limit = 10, status, purpose, userId } = req.query;
@@ -247,9 +248,9 @@ exports.getAllPayments = async (req, res, next) => {
     if (purpose) query.purpose = purpose;
     if (userId) query.user = userId;
     
-    // Get payments with pagination
+    // Get payments with pagination (deleted payers are included so records stay attributable)
     const payments = await Payment.find(query)
-      .populate('user', 'name email')
+      .populate({ path: 'user', select: 'name email', options: { withDeleted: true } })
       .populate({
         path: 'relatedTo',
         select: 'title',
@@ -287,11 +288,11 @@ exports.getAllPayments = async (req, res, next) => {
 
 // @desc    Get payment by ID
 // @route   GET /api/payments/:id
-// @access  Private (Owner or Admin)
+// @access  Private (Owner or payment:manage)
 exports.getPaymentById = async (req, res, next) => {
   try {
     const payment = await Payment.findById(req.params.id)
-      .populate('user', 'name email')
+      .populate({ path: 'user', select: 'name email', options: { withDeleted: true } })
       .populate({
         path: 'relatedTo',
         select: 'title description',
@@ -302,8 +303,8 @@ exports.getPaymentById = async (req, res, next) => {
       return res.status(404).json({ message: 'Payment not found' });
     }
     
-    // Check if user is the owner or admin
-    if (payment.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user is the owner or can manage payments
+    if (payment.user._id.toString() !== req.user.id && !req.user.hasPermission(PERMISSIONS.PAYMENT_MANAGE)) {
       return res.status(403).json({ message: 'Not authorized to access this payment' });
     }
     
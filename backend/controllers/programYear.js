@@ -0,0 +1,172 @@
+const { validationResult } = require('express-validator');
+const ProgramYear = require('../models/ProgramYear');
+const User = require('../models/User');
+const { PERMISSIONS } = require('../config/permissions');
+const { snapshot, recordAudit } = require('../utils/audit');
+
+// Fields compared in audit log entries
+const AUDITED_FIELDS = ['name', 'code', 'program', 'yearOfStudy', 'aliases', 'order', 'isActive'];
+
+// @desc    Get all programs / years of study
+// @route   GET /api/program-years
+// @access  Public (inactive entries only for academic:manage)
+exports.getProgramYears = async (req, res, next) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' &&
+      req.user && req.user.hasPermission(PERMISSIONS.ACADEMIC_MANAGE);
+
+    const query = includeInactive ? {} : { isActive: true };
+
+    // Filter by program (e.g. "M.Tech")
+    if (req.query.program) {
+      query.program = req.query.program;
+    }
+
+    const programYears = await ProgramYear.find(query).sort({ order: 1, name: 1 });
+
+    res.json(programYears);
+  } catch (error) {
+    console.error('Get program years error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Create a program / year of study
+// @route   POST /api/program-years
+// @access  Private (academic:manage)
+exports.createProgramYear = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, code, program, yearOfStudy, aliases, order } = req.body;
+
+    const existing = await ProgramYear.findOne({ $or: [{ name }, { code: code.toUpperCase() }] });
+    if (existing) {
+      return res.status(400).json({ message: 'A program/year with that name or code already exists' });
+    }
+
+    const programYear = await ProgramYear.create({ name, code, program, yearOfStudy, aliases, order });
+
+    await recordAudit(req, {
+      action: 'program_year.create',
+      targetType: 'ProgramYear',
+      target: programYear,
+      targetLabel: programYear.name,
+      after: snapshot(programYear, AUDITED_FIELDS)
+    });
+
+    res.status(201).json({
+      message: 'Program/year created successfully',
+      programYear
+    });
+  } catch (error) {
+    console.error('Create program year error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Update a program / year of study
+// @route   PUT /api/program-years/:id
+// @access  Private (academic:manage)
+exports.updateProgramYear = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const programYear = await ProgramYear.findById(req.params.id);
+
+    if (!programYear) {
+      return res.status(404).json({ message: 'Program/year not found' });
+    }
+
+    const before = snapshot(programYear, AUDITED_FIELDS);
+
+    const { name, code, program, yearOfStudy, aliases, order, isActive } = req.body;
+
+    if (name || code) {
+      const conflict = await ProgramYear.findOne({
+        _id: { $ne: programYear._id },
+        $or: [
+          ...(name ? [{ name }] : []),
+          ...(code ? [{ code: code.toUpperCase() }] : [])
+        ]
+      });
+
+      if (conflict) {
+        return res.status(400).json({ message: 'A program/year with that name or code already exists' });
+      }
+    }
+
+    if (name) programYear.name = name;
+    if (code) programYear.code = code;
+    if (program) programYear.program = program;
+    if (yearOfStudy !== undefined) programYear.yearOfStudy = yearOfStudy;
+    if (aliases) programYear.aliases = aliases;
+    if (order !== undefined) programYear.order = order;
+    if (isActive !== undefined) programYear.isActive = isActive;
+
+    await programYear.save();
+
+    await recordAudit(req, {
+      action: 'program_year.update',
+      targetType: 'ProgramYear',
+      target: programYear,
+      targetLabel: programYear.name,
+      before,
+      after: snapshot(programYear, AUDITED_FIELDS)
+    });
+
+    res.json({
+      message: 'Program/year updated successfully',
+      programYear
+    });
+  } catch (error) {
+    console.error('Update program year error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Delete a program / year of study (only when no users reference it)
+// @route   DELETE /api/program-years/:id
+// @access  Private (academic:manage)
+exports.deleteProgramYear = async (req, res, next) => {
+  try {
+    const programYear = await ProgramYear.findById(req.params.id);
+
+    if (!programYear) {
+      return res.status(404).json({ message: 'Program/year not found' });
+    }
+
+    const userCount = await User.countDocuments({ programYear: programYear._id })
+      .setOptions({ withDeleted: true });
+
+    if (userCount > 0) {
+      return res.status(409).json({
+        message: 'Program/year is assigned to users. Deactivate it instead.',
+        userCount
+      });
+    }
+
+    await programYear.deleteOne();
+
+    await recordAudit(req, {
+      action: 'program_year.delete',
+      targetType: 'ProgramYear',
+      target: programYear,
+      targetLabel: programYear.name,
+      before: snapshot(programYear, AUDITED_FIELDS)
+    });
+
+    res.json({ message: 'Program/year deleted' });
+  } catch (error) {
+    console.error('Delete program year error:', error.message);
+    next(error);
+  }
+};
@@ -1,15 +1,98 @@
+const crypto = require('crypto');
+const { parse } = require('csv-parse/sync');
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
 const Blog = require('../models/Blog');
 const Contest = require('../models/Contest');
 const Notification = require('../models/Notification');
+const ImportReport = require('../models/ImportReport');
+const Department = require('../models/Department');
+const ProgramYear = require('../models/ProgramYear');
+const { revokeUserSessions } = require('../utils/tokens');
+const { disconnectUserSockets } = require('../config/socket');
+const { clearLoginFailures } = require('../utils/loginThrottle');
+const { ROLES } = require('../config/permissions');
+const { loadAcademicLookups, validateAcademicRefs } = require('../utils/academicData');
+const { getPurgeDate, softDeleteUser, restoreUser } = require('../utils/userDeletion');
+const {
+  getRevocationExpiry,
+  hasPendingRevocation,
+  findOtherActiveAdmins,
+  isLastActiveAdmin,
+  removeActiveAdmin
+} = require('../utils/adminRoles');
+const { toCsv } = require('../utils/csv');
+const { snapshot, recordAudit } = require('../utils/audit');
+const sendEmail = require('../utils/sendEmail');
+
+// Roster import limits
+const IMPORT_MAX_ROWS = 5000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// User fields compared in audit log entries
+const AUDITED_USER_FIELDS = ['name', 'email', 'role', 'isActive', 'isVerified', 'department', 'programYear'];
+
+/**
+ * Count users grouped by a reference field, with the referenced record's details
+ * @param {String} field User field, e.g. 'department'
+ * @param {Object} RefModel Model the field references
+ * @param {String[]} fields Fields of the referenced record to include
+ */
+const countUsersBy = async (field, RefModel, fields) => {
+  const counts = await User.aggregate([
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $lookup: { from: RefModel.collection.collectionName, localField: '_id', foreignField: '_id', as: 'ref' } },
+    { $sort: { count: -1 } }
+  ]);
+
+  return counts.map(({ _id, count, ref }) => ({
+    [field]: ref[0]
+      ? fields.reduce((details, key) => ({ ...details, [key]: ref[0][key] }), { id: _id })
+      : null,
+    count
+  }));
+};
+
+/**
+ * Tell a user their role changed, then drop their sockets: they joined the old
+ * role's room, so the client has to reconnect with a new token. The notification
+ * goes out first so connected clients still receive it and know why.
+ * @param {Object} req Express request (the admin making the change)
+ * @param {Object} user User whose role changed
+ * @param {Object} content
+ * @param {String} content.title Notification title
+ * @param {String} content.message Notification message
+ * @param {String} content.socketMessage Short message sent over the socket
+ */
+const notifyRoleChange = async (req, user, { title, message, socketMessage }) => {
+  const notification = new Notification({
+    title,
+    message,
+    sender: req.user.id,
+    recipients: 'specific',
+    targetUsers: [user._id],
+    urgencyLevel: 'important',
+    relatedTo: 'account'
+  });
+  
+  await notification.save();
+  
+  const io = req.app.get('io');
+  io.to(user._id.toString()).emit('notification', {
+    type: 'ROLE_CHANGE',
+    message: socketMessage,
+    data: notification
+  });
+  
+  disconnectUserSockets(user._id);
+};
 
 // @desc    Get all users (admin)
 // @route   GET /api/users
-// @access  Private (Admin)
+// @access  Private (user:manage)
 exports.getAllUsers = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, role, search, isActive } = req.query;
+    const { page = 1, limit = 10, role, search, isActive, department, programYear } = req.query;
     const skip = (page - 1) * limit;
     
     // Build query
@@ -20,6 +103,15 @@ exports.getAllUsers = async (req, res, next) => {
       query.role = role;
     }
     
+    // Filter by department and program/year ("none" finds users without one)
+    if (department) {
+      query.department = department === 'none' ? null : department;
+    }
+    
+    if (programYear) {
+      query.programYear = programYear === 'none' ? null : programYear;
+    }
+    
     // Filter by active status
     if (isActive !== undefined) {
       query.isActive = isActive === 'true';
@@ -36,6 +128,8 @@ exports.getAllUsers = async (req, res, next) => {
     // Get users with pagination
     const users = await User.find(query)
       .select('-password')
+      .populate('department', 'name code')
+      .populate('programYear', 'name code')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -69,10 +163,13 @@ exports.getAllUsers = async (req, res, next) => {
 
 // @desc    Get user by ID
 // @route   GET /api/users/:id
-// @access  Private (Admin)
+// @access  Private (user:manage)
 exports.getUserById = async (req, res, next) => {
   try {
-    const user = await User.findById(req.params.id).select('-password');
+    const user = await User.findById(req.params.id)
+      .select('-password')
+      .populate('department', 'name code')
+      .populate('programYear', 'name code program yearOfStudy');
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -96,7 +193,7 @@ exports.getUserById = async (req, res, next) => {
       contests,
       activitySummary: {
         totalBlogs: await Blog.countDocuments({ author: user._id }),
-        publishedBlogs: await Blog.countDocuments({ author: user._id, status: 'approved' }),
+        publishedBlogs: await Blog.countDocuments({ author: user._id, ...Blog.publishedFilter() }),
         pendingBlogs: await Blog.countDocuments({ author: user._id, status: 'pending' }),
         registeredContests: await Contest.countDocuments({ 'participants.user': user._id })
       }
@@ -107,9 +204,102 @@ exports.getUserById = async (req, res, next) => {
   }
 };
 
+// @desc    Get a user's public profile
+// @route   GET /api/users/:id/profile
+// @access  Public (sections follow the user's profile visibility settings)
+exports.getPublicProfile = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .populate('department', 'name code')
+      .populate('programYear', 'name program yearOfStudy')
+      .populate({
+        path: 'userBlogs',
+        match: Blog.publishedFilter(),
+        select: 'title featuredImage tags views likes createdAt author',
+        options: { sort: { createdAt: -1 } }
+      });
+    
+    // Suspended accounts have no public profile
+    if (!user || !user.isActive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const viewer = req.user || null;
+    const canView = section => user.canViewProfileSection(section, viewer);
+    
+    const profile = {
+      id: user._id,
+      name: user.name,
+      avatar: user.avatar,
+      role: user.role,
+      memberSince: user.createdAt
+    };
+    
+    if (canView('bio')) profile.bio = user.bio;
+    if (canView('department')) profile.department = user.department;
+    if (canView('year')) profile.programYear = user.programYear;
+    
+    const response = { profile };
+    
+    if (canView('blogs')) {
+      response.blogs = user.userBlogs.map(blog => ({
+        id: blog._id,
+        title: blog.title,
+        featuredImage: blog.featuredImage,
+        tags: blog.tags,
+        views: blog.views,
+        likeCount: blog.likes.length,
+        createdAt: blog.createdAt
+      }));
+    }
+    
+    if (canView('contests') || canView('results')) {
+      const contests = await Contest.find({ 'participants.user': user._id, isActive: true })
+        .select('title category startDate endDate status resultsPublishedAt participants.$')
+        .sort({ startDate: -1 });
+      
+      if (canView('contests')) {
+        response.contests = contests.map(contest => ({
+          id: contest._id,
+          title: contest.title,
+          category: contest.category,
+          startDate: contest.startDate,
+          endDate: contest.endDate,
+          status: contest.status
+        }));
+      }
+      
+      if (canView('results')) {
+        // Only the matching participant is projected, so participants[0] is this user
+        response.results = contests
+          .filter(contest => {
+            const result = contest.participants[0].result || {};
+            return contest.resultsPublishedAt && (result.rank || result.score !== undefined || result.award);
+          })
+          .map(contest => ({
+            contest: { id: contest._id, title: contest.title },
+            rank: contest.participants[0].result.rank,
+            score: contest.participants[0].result.score,
+            award: contest.participants[0].result.award
+          }));
+      }
+    }
+    
+    // Let users see how their own profile is shared
+    if (viewer && viewer.id === user.id) {
+      response.visibility = user.profileVisibility;
+    }
+    
+    res.json(response);
+  } catch (error) {
+    console.error('Get public profile error:', error.message);
+    next(error);
+  }
+};
+
 // @desc    Update user (admin)
 // @route   PUT /api/users/:id
-// @access  Private (Admin)
+// @access  Private (user:manage)
 exports.updateUser = async (req, res, next) => {
   try {
     // Check for validation errors
@@ -118,7 +308,12 @@ exports.updateUser = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
     
-    const { name, email, role, isActive, department, year, isVerified } = req.body;
+    const { name, email, role, isActive, department, programYear, isVerified } = req.body;
+    
+    const refProblems = await validateAcademicRefs({ department, programYear });
+    if (refProblems.length > 0) {
+      return res.status(400).json({ message: refProblems.join(', ') });
+    }
     
     // Build update object
     const updateFields = {};
@@ -127,22 +322,74 @@ exports.updateUser = async (req, res, next) => {
     if (email) updateFields.email = email;
     if (role) updateFields.role = role;
     if (isActive !== undefined) updateFields.isActive = isActive;
-    if (department) updateFields.department = department;
-    if (year) updateFields.year = year;
+    if (department !== undefined) updateFields.department = department;
+    if (programYear !== undefined) updateFields.programYear = programYear;
     if (isVerified !== undefined) updateFields.isVerified = isVerified;
     
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { $set: updateFields },
-      { new: true }
-    ).select('-password');
+    const previousUser = await User.findById(req.params.id).select(AUDITED_USER_FIELDS.join(' '));
+    
+    if (!previousUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Admin privileges are only removed through the revoke-admin flow
+    if (previousUser.role === 'admin' && role && role !== 'admin') {
+      return res.status(400).json({ message: 'Use PUT /api/users/:id/revoke-admin to remove admin privileges' });
+    }
+    
+    if (isActive === false && await isLastActiveAdmin(previousUser)) {
+      return res.status(400).json({ message: 'Cannot deactivate the last active admin' });
+    }
+    
+    let user;
+    const updated = await removeActiveAdmin(
+      previousUser,
+      async () => {
+        user = await User.findByIdAndUpdate(
+          req.params.id,
+          { $set: updateFields },
+          { new: true }
+        ).select('-password');
+      },
+      async () => {
+        // Put back every field this request changed
+        const restoreFields = {};
+        Object.keys(updateFields).forEach(field => {
+          restoreFields[field] = previousUser[field];
+        });
+        await User.updateOne({ _id: previousUser._id }, { $set: restoreFields });
+      }
+    );
+    
+    if (!updated) {
+      return res.status(400).json({ message: 'Cannot deactivate the last active admin' });
+    }
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    // If user was deactivated, notify them
+    await recordAudit(req, {
+      action: 'user.update',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email,
+      before: snapshot(previousUser, AUDITED_USER_FIELDS),
+      after: snapshot(user, AUDITED_USER_FIELDS)
+    });
+    
+    if (role && previousUser.role !== user.role) {
+      await notifyRoleChange(req, user, {
+        title: 'Role Updated',
+        message: `Your role on the platform has been changed from ${previousUser.role} to ${user.role}.`,
+        socketMessage: `Your role is now ${user.role}`
+      });
+    }
+    
+    // If user was deactivated, sign them out everywhere and notify them
     if (isActive === false && user.isActive === false) {
+      await revokeUserSessions(user._id);
+      
       const notification = new Notification({
         title: 'Account Suspended',
         message: 'Your account has been suspended. Please contact administration for further information.',
@@ -174,9 +421,10 @@ exports.updateUser = async (req, res, next) => {
   }
 };
 
-// @desc    Delete user (admin)
+// @desc    Delete user (admin). The account and its blogs are hidden and can be
+//          restored until the retention window passes, then personal data is purged.
 // @route   DELETE /api/users/:id
-// @access  Private (Admin)
+// @access  Private (user:manage)
 exports.deleteUser = async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id);
@@ -190,36 +438,138 @@ exports.deleteUser = async (req, res, next) => {
       return res.status(400).json({ message: 'Cannot delete your own account' });
     }
     
-    // Delete all of the user's blogs
-    await Blog.deleteMany({ author: user._id });
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot delete the last active admin' });
+    }
     
-    // Remove user from contests
-    await Contest.updateMany(
-      { 'participants.user': user._id },
-      { $pull: { participants: { user: user._id } } }
+    const deleted = await removeActiveAdmin(
+      user,
+      () => softDeleteUser(user, req.user.id),
+      () => restoreUser(user)
     );
     
-    // Delete user's notifications
-    await Notification.deleteMany({ 
-      $or: [
-        { sender: user._id },
-        { targetUsers: user._id }
-      ]
-    });
+    if (!deleted) {
+      return res.status(400).json({ message: 'Cannot delete the last active admin' });
+    }
     
-    // Finally, delete the user
-    await user.deleteOne();
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email,
+      metadata: { purgeAt: getPurgeDate(user) }
+    });
     
-    res.json({ message: 'User and all associated data deleted' });
+    res.json({
+      message: `User deleted. The account can be restored until ${getPurgeDate(user).toISOString()}.`,
+      purgeAt: getPurgeDate(user)
+    });
   } catch (error) {
     console.error('Delete user error:', error.message);
     next(error);
   }
 };
 
+// @desc    Get deleted users that are still restorable (admin)
+// @route   GET /api/users/deleted
+// @access  Private (user:manage)
+exports.getDeletedUsers = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, search } = req.query;
+    const skip = (page - 1) * limit;
+    
+    const query = { deletedAt: { $ne: null }, anonymizedAt: null };
+    
+    // Search by name or email
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } }
+      ];
+    }
+    
+    const users = await User.find(query)
+      .select('name email role department programYear deletedAt deletedBy')
+      .populate({ path: 'deletedBy', select: 'name email', options: { withDeleted: true } })
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    
+    const total = await User.countDocuments(query);
+    
+    res.json({
+      users: users.map(user => ({
+        ...user.toObject(),
+        purgeAt: getPurgeDate(user)
+      })),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get deleted users error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Restore a deleted user (admin)
+// @route   PUT /api/users/:id/restore
+// @access  Private (user:manage)
+exports.restoreUser = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    
+    if (!user) {
+      return res.status(404).json({ message: 'Deleted user not found' });
+    }
+    
+    if (user.anonymizedAt || getPurgeDate(user) <= new Date()) {
+      return res.status(410).json({ message: 'The retention window has passed and this account can no longer be restored' });
+    }
+    
+    await restoreUser(user);
+    
+    await recordAudit(req, {
+      action: 'user.restore',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email
+    });
+    
+    // Notify the user that their account is back
+    const notification = new Notification({
+      title: 'Account Restored',
+      message: 'Your account has been restored by an administrator.',
+      sender: req.user.id,
+      recipients: 'specific',
+      targetUsers: [user._id],
+      urgencyLevel: 'important',
+      relatedTo: 'account'
+    });
+    
+    await notification.save();
+    
+    res.json({
+      message: 'User restored',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Restore user error:', error.message);
+    next(error);
+  }
+};
+
 // @desc    Make user admin
 // @route   PUT /api/users/:id/make-admin
-// @access  Private (Admin)
+// @access  Private (user:manage)
 exports.makeAdmin = async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id);
@@ -234,32 +584,276 @@ exports.makeAdmin = async (req, res, next) => {
     }
     
     // Update user role
+    const previousRole = user.role;
     user.role = 'admin';
     await user.save();
     
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email,
+      before: { role: previousRole },
+      after: { role: user.role }
+    });
+    
     // Notify the user about role change
-    const notification = new Notification({
+    await notifyRoleChange(req, user, {
       title: 'Role Upgraded to Admin',
       message: 'You have been granted administrator privileges on the platform.',
+      socketMessage: 'You are now an admin'
+    });
+    
+    res.json({
+      message: 'User role updated to admin',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Make admin error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Assign a role to a user
+// @route   PUT /api/users/:id/role
+// @access  Private (user:manage)
+exports.assignRole = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { role } = req.body;
+    
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (user.role === role) {
+      return res.status(400).json({ message: `User already has the ${role} role` });
+    }
+    
+    // Admin privileges are only removed through the revoke-admin flow
+    if (user.role === 'admin') {
+      return res.status(400).json({ message: 'Use PUT /api/users/:id/revoke-admin to remove admin privileges' });
+    }
+    
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email,
+      before: { role: previousRole },
+      after: { role: user.role }
+    });
+    
+    // Notify the user about role change
+    await notifyRoleChange(req, user, {
+      title: 'Role Updated',
+      message: `Your role on the platform has been changed from ${previousRole} to ${role}.`,
+      socketMessage: `Your role is now ${role}`
+    });
+    
+    res.json({
+      message: `User role updated to ${role}`,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Assign role error:', error.message);
+    next(error);
+  }
+};
+
+/**
+ * Demote an admin to another role, then record and notify the change
+ * @param {Object} req Express request (the admin performing the change)
+ * @param {Object} user Admin being demoted
+ * @param {String} role Role the user is given instead
+ * @param {Object} [metadata] Extra audit context (e.g. who requested a self-demotion)
+ * @returns {Promise<Boolean>} false if they were the last active admin and nothing changed
+ */
+const applyAdminRevocation = async (req, user, role, metadata = {}) => {
+  const pendingRevocation = {
+    requestedAt: user.adminRevocation.requestedAt,
+    role: user.adminRevocation.role
+  };
+  
+  const demoted = await removeActiveAdmin(
+    user,
+    async () => {
+      user.role = role;
+      user.adminRevocation = { requestedAt: null, role: null };
+      await user.save();
+    },
+    async () => {
+      user.role = 'admin';
+      user.adminRevocation = pendingRevocation;
+      await user.save();
+    }
+  );
+  
+  if (!demoted) return false;
+  
+  await recordAudit(req, {
+    action: 'user.role_change',
+    targetType: 'User',
+    target: user,
+    targetLabel: user.email,
+    before: { role: 'admin' },
+    after: { role: user.role },
+    metadata
+  });
+  
+  // Notify the user about role change
+  await notifyRoleChange(req, user, {
+    title: 'Admin Privileges Revoked',
+    message: `Your administrator privileges have been removed. Your role is now ${role}.`,
+    socketMessage: 'You are no longer an admin'
+  });
+  
+  return true;
+};
+
+// @desc    Revoke admin privileges. Demoting yourself creates a request
+//          that another admin has to confirm.
+// @route   PUT /api/users/:id/revoke-admin
+// @access  Private (user:manage)
+exports.revokeAdmin = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const role = req.body.role || 'student';
+    
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (user.role !== 'admin') {
+      return res.status(400).json({ message: 'User is not an admin' });
+    }
+    
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot revoke the last active admin' });
+    }
+    
+    const isSelf = user._id.toString() === req.user.id;
+    
+    if (!isSelf) {
+      if (!await applyAdminRevocation(req, user, role)) {
+        return res.status(400).json({ message: 'Cannot revoke the last active admin' });
+      }
+      
+      return res.json({
+        message: `Admin privileges revoked. User role updated to ${role}`,
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role
+        }
+      });
+    }
+    
+    // Self-demotion waits for a second admin
+    user.adminRevocation = { requestedAt: new Date(), role };
+    await user.save();
+    
+    await recordAudit(req, {
+      action: 'user.admin_revocation_request',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email,
+      metadata: { role }
+    });
+    
+    const admins = await findOtherActiveAdmins(user._id);
+    
+    const notification = new Notification({
+      title: 'Admin Demotion Awaiting Confirmation',
+      message: `${user.name} has asked to give up their admin privileges. Another admin needs to confirm the change.`,
       sender: req.user.id,
       recipients: 'specific',
-      targetUsers: [user._id],
+      targetUsers: admins.map(admin => admin._id),
       urgencyLevel: 'important',
       relatedTo: 'account'
     });
     
     await notification.save();
     
-    // Send real-time notification
+    // Send real-time notification to the other admins
     const io = req.app.get('io');
-    io.to(user._id.toString()).emit('notification', {
-      type: 'ROLE_CHANGE',
-      message: 'You are now an admin',
+    io.to(admins.map(admin => admin._id.toString())).emit('notification', {
+      type: 'ADMIN_REVOCATION_REQUESTED',
+      message: `${user.name} is waiting for confirmation to stop being an admin`,
       data: notification
     });
     
+    res.status(202).json({
+      message: 'Another admin must confirm before your admin privileges are removed',
+      role,
+      expiresAt: getRevocationExpiry(user)
+    });
+  } catch (error) {
+    console.error('Revoke admin error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Confirm another admin's request to give up their admin role
+// @route   PUT /api/users/:id/revoke-admin/confirm
+// @access  Private (user:manage)
+exports.confirmAdminRevocation = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (user.role !== 'admin' || !hasPendingRevocation(user)) {
+      return res.status(400).json({ message: 'There is no pending admin revocation for this user' });
+    }
+    
+    if (user._id.toString() === req.user.id) {
+      return res.status(403).json({ message: 'Another admin must confirm this request' });
+    }
+    
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot revoke the last active admin' });
+    }
+    
+    const { role, requestedAt } = user.adminRevocation;
+    
+    if (!await applyAdminRevocation(req, user, role, { requestedBy: user._id, requestedAt })) {
+      return res.status(400).json({ message: 'Cannot revoke the last active admin' });
+    }
+    
     res.json({
-      message: 'User role updated to admin',
+      message: `Admin privileges revoked. User role updated to ${role}`,
       user: {
         id: user._id,
         name: user.name,
@@ -268,14 +862,73 @@ exports.makeAdmin = async (req, res, next) => {
       }
     });
   } catch (error) {
-    console.error('Make admin error:', error.message);
+    console.error('Confirm admin revocation error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Cancel a pending self-demotion request
+// @route   DELETE /api/users/:id/revoke-admin
+// @access  Private (user:manage)
+exports.cancelAdminRevocation = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!hasPendingRevocation(user)) {
+      return res.status(400).json({ message: 'There is no pending admin revocation for this user' });
+    }
+    
+    user.adminRevocation = { requestedAt: null, role: null };
+    await user.save();
+    
+    await recordAudit(req, {
+      action: 'user.admin_revocation_cancel',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email
+    });
+    
+    res.json({ message: 'Admin revocation request cancelled' });
+  } catch (error) {
+    console.error('Cancel admin revocation error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Unlock a user's account after failed login attempts
+// @route   PUT /api/users/:id/unlock
+// @access  Private (user:manage)
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    await clearLoginFailures(user.email);
+    
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email
+    });
+    
+    res.json({ message: 'Account unlocked' });
+  } catch (error) {
+    console.error('Unlock user error:', error.message);
     next(error);
   }
 };
 
 // @desc    Get user statistics (admin)
 // @route   GET /api/users/stats
-// @access  Private (Admin)
+// @access  Private (user:manage)
 exports.getUserStats = async (req, res, next) => {
   try {
     // User counts
@@ -284,11 +937,26 @@ exports.getUserStats = async (req, res, next) => {
     const totalAdmins = await User.countDocuments({ role: 'admin' });
     const activeUsers = await User.countDocuments({ isActive: true });
     
+    // Count of users per role
+    const roleCounts = await User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const byRole = ROLES.reduce((counts, role) => {
+      const entry = roleCounts.find(item => item._id === role);
+      counts[role] = entry ? entry.count : 0;
+      return counts;
+    }, {});
+    
+    // Count of users per department and per program/year (null = not set)
+    const byDepartment = await countUsersBy('department', Department, ['name', 'code']);
+    const byProgramYear = await countUsersBy('programYear', ProgramYear, ['name', 'code', 'program']);
+    
     // Blog stats
     const totalBlogs = await Blog.countDocuments();
     const pendingBlogs = await Blog.countDocuments({ status: 'pending' });
     const approvedBlogs = await Blog.countDocuments({ status: 'approved' });
     const rejectedBlogs = await Blog.countDocuments({ status: 'rejected' });
+    const draftBlogs = await Blog.countDocuments({ status: 'draft' });
     
     // Contest stats
     const totalContests = await Contest.countDocuments();
@@ -313,6 +981,9 @@ exports.getUserStats = async (req, res, next) => {
         admins: totalAdmins,
         active: activeUsers,
         inactive: totalUsers - activeUsers,
+        byRole,
+        byDepartment,
+        byProgramYear,
         recentRegistrations: recentUsers
       },
       contentStats: {
@@ -320,7 +991,8 @@ exports.getUserStats = async (req, res, next) => {
           total: totalBlogs,
           pending: pendingBlogs,
           approved: approvedBlogs,
-          rejected: rejectedBlogs
+          rejected: rejectedBlogs,
+          draft: draftBlogs
         },
         contests: {
           total: totalContests,
@@ -332,4 +1004,237 @@ exports.getUserStats = async (req, res, next) => {
     console.error('Get user stats error:', error.message);
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Import users from a CSV roster
+// @route   POST /api/users/import
+// @access  Private (user:manage)
+exports.importUsers = async (req, res, next) => {
+  try {
+    // Preview unless the caller explicitly asks to write
+    const dryRun = req.body.dryRun !== 'false';
+    const sendInvites = req.body.sendInvites === 'true';
+    
+    let records;
+    try {
+      records = parse(req.file.buffer, {
+        columns: header => header.map(column => column.trim().toLowerCase()),
+        skip_empty_lines: true,
+        trim: true,
+        bom: true
+      });
+    } catch (parseError) {
+      return res.status(400).json({ message: `Could not parse CSV: ${parseError.message}` });
+    }
+    
+    if (records.length === 0 || !('name' in records[0]) || !('email' in records[0])) {
+      return res.status(400).json({
+        message: 'CSV must have a header row with at least "name" and "email" columns (optional: department, year, role)'
+      });
+    }
+    
+    if (records.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({ message: `CSV cannot contain more than ${IMPORT_MAX_ROWS} rows` });
+    }
+    
+    // Load every existing account in the file with one query
+    const emails = records.map(record => (record.email || '').toLowerCase()).filter(Boolean);
+    const existingUsers = await User.find({ email: { $in: emails } }).setOptions({ withDeleted: true });
+    const existingByEmail = new Map(existingUsers.map(user => [user.email, user]));
+    
+    // Department and year columns may use codes, names or known aliases
+    const { resolveDepartment, resolveProgramYear } = await loadAcademicLookups();
+    
+    const inviteMinutes = parseInt(process.env.INVITE_TOKEN_EXPIRE_DAYS || '7') * 24 * 60;
+    const seenEmails = new Set();
+    const rows = [];
+    
+    for (const [index, record] of records.entries()) {
+      const email = (record.email || '').toLowerCase();
+      const roleValue = (record.role || 'student').toLowerCase();
+      const department = resolveDepartment(record.department);
+      const programYear = resolveProgramYear(record.year);
+      const row = {
+        row: index + 2, // header is row 1
+        name: record.name,
+        email,
+        department: department ? department.name : (record.department || ''),
+        programYear: programYear ? programYear.name : (record.year || ''),
+        role: roleValue,
+        issues: []
+      };
+      
+      // Validate the row
+      if (!row.name) row.issues.push('Name is required');
+      if (!EMAIL_PATTERN.test(email)) row.issues.push('A valid email is required');
+      if (record.department && !department) row.issues.push(`Unrecognised department "${record.department}"`);
+      if (record.year && !programYear) row.issues.push(`Unrecognised year "${record.year}"`);
+      if (!ROLES.includes(roleValue)) row.issues.push(`Role must be one of: ${ROLES.join(', ')}`);
+      if (roleValue === 'admin') row.issues.push('The admin role cannot be assigned by import');
+      if (email && seenEmails.has(email)) row.issues.push('Duplicate email in file');
+      seenEmails.add(email);
+      
+      const existing = existingByEmail.get(email);
+      
+      if (existing && existing.deletedAt) {
+        row.issues.push('Email belongs to a deleted account');
+      }
+      
+      if (existing && existing.role === 'admin' && roleValue !== 'admin') {
+        row.issues.push('Admin accounts cannot be changed by import');
+      }
+      
+      if (row.issues.length > 0) {
+        row.action = 'error';
+        rows.push(row);
+        continue;
+      }
+      
+      if (existing) {
+        // Upsert: only overwrite fields the CSV actually provides
+        const changes = {};
+        if (existing.name !== row.name) changes.name = row.name;
+        if (department && !department._id.equals(existing.department)) changes.department = department._id;
+        if (programYear && !programYear._id.equals(existing.programYear)) changes.programYear = programYear._id;
+        if (existing.role !== row.role) changes.role = row.role;
+        
+        row.action = Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+        
+        if (!dryRun && row.action === 'update') {
+          existing.set(changes);
+          await existing.save();
+          
+          if (changes.role) {
+            disconnectUserSockets(existing._id);
+          }
+        }
+      } else {
+        row.action = 'create';
+        
+        if (!dryRun) {
+          // Random password; invited users choose their own through the set-password link
+          const user = new User({
+            name: row.name,
+            email,
+            password: crypto.randomBytes(32).toString('hex'),
+            department: department ? department._id : null,
+            programYear: programYear ? programYear._id : null,
+            role: row.role
+          });
+          
+          const inviteToken = sendInvites ? user.getResetPasswordToken(inviteMinutes) : null;
+          await user.save();
+          
+          if (inviteToken) {
+            try {
+              await sendEmail({
+                to: user.email,
+                subject: 'You have been invited to the University Platform',
+                text: `Hi ${user.name},\n\n` +
+                  'An account has been created for you on the University Platform. ' +
+                  'Use the link below to choose your password and sign in:\n\n' +
+                  `${process.env.CLIENT_URL || 'http://localhost:5173'}/reset-password/${inviteToken}\n\n` +
+                  `This link expires in ${inviteMinutes / 60 / 24} days.`
+              });
+              row.invited = true;
+            } catch (mailError) {
+              console.error('Invitation email error:', mailError.message);
+              row.issues.push('Account created but the invitation email could not be sent');
+            }
+          }
+        }
+      }
+      
+      rows.push(row);
+    }
+    
+    const count = action => rows.filter(row => row.action === action).length;
+    
+    const report = new ImportReport({
+      createdBy: req.user.id,
+      fileName: req.file.originalname,
+      dryRun,
+      sendInvites,
+      summary: {
+        total: rows.length,
+        created: count('create'),
+        updated: count('update'),
+        unchanged: count('unchanged'),
+        failed: count('error'),
+        invited: rows.filter(row => row.invited).length
+      },
+      rows
+    });
+    
+    await report.save();
+    
+    if (!dryRun) {
+      await recordAudit(req, {
+        action: 'user.import',
+        targetType: 'ImportReport',
+        target: report,
+        targetLabel: report.fileName,
+        metadata: { summary: report.summary }
+      });
+    }
+    
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Import preview generated. No users were changed.' : 'Import completed',
+      report
+    });
+  } catch (error) {
+    console.error('Import users error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Get an import report
+// @route   GET /api/users/import/:id
+// @access  Private (user:manage)
+exports.getImportReport = async (req, res, next) => {
+  try {
+    const report = await ImportReport.findById(req.params.id)
+      .populate('createdBy', 'name email');
+    
+    if (!report) {
+      return res.status(404).json({ message: 'Import report not found' });
+    }
+    
+    res.json(report);
+  } catch (error) {
+    console.error('Get import report error:', error.message);
+    next(error);
+  }
+};
+
+// @desc    Download an import report as CSV
+// @route   GET /api/users/import/:id/report.csv
+// @access  Private (user:manage)
+exports.downloadImportReport = async (req, res, next) => {
+  try {
+    const report = await ImportReport.findById(req.params.id);
+    
+    if (!report) {
+      return res.status(404).json({ message: 'Import report not found' });
+    }
+    
+    const csv = toCsv(report.rows, [
+      { header: 'row', value: 'row' },
+      { header: 'name', value: 'name' },
+      { header: 'email', value: 'email' },
+      { header: 'department', value: 'department' },
+      { header: 'year', value: 'programYear' },
+      { header: 'role', value: 'role' },
+      { header: 'action', value: row => (report.dryRun && row.action !== 'error' ? `would ${row.action}` : row.action) },
+      { header: 'invited', value: row => (row.invited ? 'yes' : 'no') },
+      { header: 'issues', value: row => row.issues.join('; ') }
+    ]);
+    
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`import-report-${report._id}.csv`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Download import report error:', error.message);
+    next(error);
+  }
+};
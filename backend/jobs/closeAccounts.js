@@ -0,0 +1,21 @@
+const User = require('../models/User');
+const { completeAccountClosure } = require('../utils/userDeletion');
+
+/**
+ * Close accounts whose self-service closure grace period has ended
+ */
+module.exports = async () => {
+  const users = await User.find({
+    closureScheduledFor: { $ne: null, $lte: new Date() }
+  });
+
+  for (const user of users) {
+    try {
+      await completeAccountClosure(user);
+    } catch (error) {
+      console.error(`Failed to close account ${user._id}:`, error.message);
+    }
+  }
+
+  return users.length;
+};
@@ -0,0 +1,9 @@
+const { failStaleExports } = require('../utils/dataExport');
+
+/**
+ * Fail queued data exports that were interrupted (e.g. by a restart) so
+ * users aren't stuck waiting on them
+ */
+module.exports = async ({ io }) => {
+  await failStaleExports(io);
+};
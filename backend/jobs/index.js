@@ -0,0 +1,83 @@
+// Background jobs that run on a fixed interval inside the API process.
+// Set JOBS_ENABLED=false on extra instances so only one server runs them.
+
+const JOBS = [
+  {
+    name: 'purge-deleted-users',
+    intervalMinutes: 60,
+    run: require('./purgeDeletedUsers')
+  },
+  {
+    name: 'close-accounts',
+    intervalMinutes: 60,
+    run: require('./closeAccounts')
+  },
+  {
+    name: 'publish-scheduled-blogs',
+    intervalMinutes: 1,
+    run: require('./publishScheduledBlogs')
+  },
+  {
+    name: 'remove-expired-exports',
+    intervalMinutes: 60,
+    run: require('./removeExpiredExports')
+  },
+  {
+    name: 'fail-stale-exports',
+    intervalMinutes: 10,
+    run: require('./failStaleExports')
+  }
+];
+
+const timers = [];
+
+/**
+ * Run a job, skipping the tick if the previous run hasn't finished yet
+ */
+const createRunner = (job, context) => {
+  let running = false;
+
+  return async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await job.run(context);
+    } catch (error) {
+      console.error(`Job ${job.name} failed:`, error.message);
+    } finally {
+      running = false;
+    }
+  };
+};
+
+/**
+ * Start every job (call once the database is connected)
+ * @param {Object} context Passed to each job, e.g. { io }
+ */
+const startJobs = (context = {}) => {
+  if (process.env.JOBS_ENABLED === 'false') return;
+
+  JOBS.forEach(job => {
+    const runner = createRunner(job, context);
+    const timer = setInterval(runner, job.intervalMinutes * 60 * 1000);
+
+    // Don't keep the process alive just for jobs
+    timer.unref();
+    timers.push(timer);
+
+    runner();
+  });
+};
+
+/**
+ * Stop all scheduled jobs
+ */
+const stopJobs = () => {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+};
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
@@ -0,0 +1,10 @@
+const { publishScheduledBlogs } = require('../utils/blogPublishing');
+
+/**
+ * Announce approved blogs whose scheduled publish time has passed.
+ * They are already visible by then; this records publishedAt and notifies
+ * the author and their followers.
+ */
+module.exports = async ({ io }) => {
+  await publishScheduledBlogs(io);
+};
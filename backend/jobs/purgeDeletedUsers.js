@@ -0,0 +1,24 @@
+const User = require('../models/User');
+const { getRetentionDays, anonymizeUser } = require('../utils/userDeletion');
+
+/**
+ * Anonymise accounts that were soft deleted longer ago than the retention window
+ */
+module.exports = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+
+  const users = await User.find({
+    deletedAt: { $ne: null, $lte: cutoff },
+    anonymizedAt: null
+  });
+
+  for (const user of users) {
+    try {
+      await anonymizeUser(user);
+    } catch (error) {
+      console.error(`Failed to purge user ${user._id}:`, error.message);
+    }
+  }
+
+  return users.length;
+};
@@ -0,0 +1,8 @@
+const { removeExpiredExports } = require('../utils/dataExport');
+
+/**
+ * Delete data export files once their download window has passed
+ */
+module.exports = async () => {
+  await removeExpiredExports();
+};
@@ -0,0 +1,29 @@
+const passport = require('passport');
+
+/**
+ * Authenticate when credentials are supplied, otherwise continue anonymously.
+ * Lets public routes tailor responses to the caller (and accept API keys)
+ * while still rejecting invalid credentials instead of silently ignoring them.
+ * @param {String[]} [strategies=['jwt']] Passport strategies to try
+ */
+exports.optionalAuth = (strategies = ['jwt']) => {
+  return (req, res, next) => {
+    if (!req.headers.authorization && !req.headers['x-api-key']) {
+      return next();
+    }
+
+    passport.authenticate(strategies, { session: false }, (err, user, info) => {
+      if (err) {
+        return next(err);
+      }
+
+      if (!user) {
+        return res.status(401).json({ message: 'Invalid or expired credentials' });
+      }
+
+      req.user = user;
+      req.authInfo = Array.isArray(info) ? undefined : info;
+      next();
+    })(req, res, next);
+  };
+};
@@ -1,65 +1,107 @@
-// Role-based access control middleware
+// Permission-based access control middleware
+// Roles and the permissions they grant are defined in config/permissions.js
 
 /**
- * Middleware to check if user has admin role
+ * Middleware to check if user has all of the given permissions
+ * @param {...String} permissions Permissions required (e.g. 'blog:moderate')
  */
-exports.isAdmin = (req, res, next) => {
-  // User is attached by passport middleware
-  if (!req.user) {
-    return res.status(401).json({ message: 'Authentication required' });
-  }
-  
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
-  }
-  
-  next();
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    // User is attached by passport middleware
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        message: 'Access denied. You do not have permission to perform this action.',
+        requiredPermissions: missing
+      });
+    }
+
+    // Privileged roles are only usable once two-factor authentication is set up
+    if (req.user.requiresTwoFactor() && (!req.user.twoFactor || !req.user.twoFactor.enabled)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication must be enabled to use these features.',
+        twoFactorSetupRequired: true
+      });
+    }
+
+    next();
+  };
 };
 
 /**
- * Middleware to check if user has student role
+ * Middleware to restrict API key requests to keys carrying one of the given scopes.
+ * Requests authenticated with a user JWT are not affected.
+ * @param {...String} scopes Accepted scopes (e.g. 'contests:read')
  */
-exports.isStudent = (req, res, next) => {
+exports.requireScope = (...scopes) => {
+  return (req, res, next) => {
+    const apiKey = req.authInfo && req.authInfo.apiKey;
+
+    if (!apiKey) {
+      return next();
+    }
+
+    if (!scopes.some(scope => apiKey.hasScope(scope))) {
+      return res.status(403).json({
+        message: 'API key does not have the required scope.',
+        requiredScopes: scopes
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Middleware to check if user has verified their email address
+ */
+exports.isVerified = (req, res, next) => {
   // User is attached by passport middleware
   if (!req.user) {
     return res.status(401).json({ message: 'Authentication required' });
   }
-  
-  if (req.user.role !== 'student') {
-    return res.status(403).json({ message: 'Access denied. Student privileges required.' });
+
+  if (!req.user.isVerified) {
+    return res.status(403).json({ message: 'Please verify your email address to perform this action.' });
   }
-  
+
   next();
 };
 
 /**
- * Middleware to check if user owns a resource or is admin
+ * Middleware to check if user owns a resource or has a permission that overrides ownership
+ * @param {String} permission Permission that grants access to any resource (e.g. 'blog:moderate')
  * @param {Function} getResourceOwnerId Function to extract owner ID from the request
  */
-exports.isOwnerOrAdmin = (getResourceOwnerId) => {
+exports.isOwnerOrPermitted = (permission, getResourceOwnerId) => {
   return async (req, res, next) => {
     try {
       // User is attached by passport middleware
       if (!req.user) {
         return res.status(401).json({ message: 'Authentication required' });
       }
-      
-      // Allow admins to access any resource
-      if (req.user.role === 'admin') {
+
+      // Allow users with the overriding permission to access any resource
+      if (req.user.hasPermission(permission)) {
         return next();
       }
-      
+
       // Get resource owner ID using the provided function
       const ownerId = await getResourceOwnerId(req);
-      
+
       // Check if the current user is the owner
       if (!ownerId || ownerId.toString() !== req.user.id.toString()) {
         return res.status(403).json({ message: 'Access denied. You are not the owner of this resource.' });
       }
-      
+
       next();
     } catch (error) {
-      console.error('Error in isOwnerOrAdmin middleware:', error);
+      console.error('Error in isOwnerOrPermitted middleware:', error);
       res.status(500).json({ message: 'Server error' });
     }
   };
@@ -67,18 +109,21 @@ exports.isOwnerOrAdmin = (getResourceOwnerId) => {
 
 /**
  * Example usage:
- * 
+ *
  * // In blog routes:
- * const { isOwnerOrAdmin } = require('../middleware/rbac');
- * 
- * // Middleware to check if user is the blog owner or an admin
+ * const { requirePermission, isOwnerOrPermitted } = require('../middleware/rbac');
+ *
+ * // Only moderators (or anyone else with blog:moderate) can change status
+ * router.put('/:id/status', [auth, requirePermission('blog:moderate')], blogController.changeBlogStatus);
+ *
+ * // Middleware to check if user is the blog owner or can moderate blogs
  * router.put(
  *   '/:id',
  *   auth,
- *   isOwnerOrAdmin(async (req) => {
+ *   isOwnerOrPermitted('blog:moderate', async (req) => {
  *     const blog = await Blog.findById(req.params.id);
  *     return blog ? blog.author : null;
  *   }),
  *   blogController.updateBlog
  * );
- */
\ No newline at end of file
+ */
@@ -0,0 +1,44 @@
+const jwt = require('jsonwebtoken');
+const passport = require('passport');
+const User = require('../models/User');
+
+/**
+ * Authenticate either with a normal access token or with the setup challenge
+ * token returned by login when an account must enroll in two-factor
+ * authentication before it can receive access tokens.
+ *
+ * Sets req.twoFactorSetupChallenge when the challenge token was used.
+ */
+exports.authOrSetupChallenge = async (req, res, next) => {
+  const challengeToken = req.body && req.body.challengeToken;
+
+  if (!challengeToken) {
+    return passport.authenticate('jwt', { session: false })(req, res, next);
+  }
+
+  try {
+    let payload;
+    try {
+      payload = jwt.verify(challengeToken, process.env.JWT_SECRET || 'your_jwt_secret');
+    } catch (err) {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+
+    if (payload.purpose !== '2fa-setup') {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+
+    const user = await User.findById(payload.id).select('-password');
+
+    if (!user || !user.isActive || (payload.tv || 0) !== user.tokenVersion) {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+
+    req.user = user;
+    req.twoFactorSetupChallenge = true;
+    next();
+  } catch (error) {
+    console.error('Error in authOrSetupChallenge middleware:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,125 @@
+const multer = require('multer');
+const { imageSize } = require('image-size');
+
+// Allowed image MIME types and the image-size type each must actually contain
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+/**
+ * Middleware chain for a single image upload held in memory.
+ * Checks the declared MIME type, the file size, that the bytes really are that
+ * image type, and the pixel dimensions. On success req.file.extension is set.
+ *
+ * @param {String} field Multipart field name
+ * @param {Object} options
+ * @param {Number} options.maxSizeMb Maximum file size in MB
+ * @param {Number} [options.minWidth]
+ * @param {Number} [options.minHeight]
+ * @param {Number} [options.maxWidth]
+ * @param {Number} [options.maxHeight]
+ */
+exports.imageUpload = (field, options) => {
+  const {
+    maxSizeMb,
+    minWidth = 1,
+    minHeight = 1,
+    maxWidth = 8000,
+    maxHeight = 8000
+  } = options;
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSizeMb * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!IMAGE_TYPES[file.mimetype]) {
+        return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', field));
+      }
+      cb(null, true);
+    }
+  });
+
+  const receive = (req, res, next) => {
+    upload.single(field)(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const message = err.code === 'LIMIT_FILE_SIZE'
+          ? `Image must be smaller than ${maxSizeMb}MB`
+          : `Please upload a JPEG, PNG, WebP or GIF image in the "${field}" field`;
+        return res.status(400).json({ message });
+      }
+      next(err);
+    });
+  };
+
+  const validate = (req, res, next) => {
+    if (!req.file) {
+      return res.status(400).json({ message: `Please upload an image in the "${field}" field` });
+    }
+
+    let dimensions;
+    try {
+      dimensions = imageSize(req.file.buffer);
+    } catch (err) {
+      return res.status(400).json({ message: 'File is not a valid image' });
+    }
+
+    // The content must match the declared type (don't trust the client's MIME header)
+    if (dimensions.type !== IMAGE_TYPES[req.file.mimetype]) {
+      return res.status(400).json({ message: 'File contents do not match its image type' });
+    }
+
+    const { width, height } = dimensions;
+    if (width < minWidth || height < minHeight || width > maxWidth || height > maxHeight) {
+      return res.status(400).json({
+        message: `Image must be between ${minWidth}x${minHeight} and ${maxWidth}x${maxHeight} pixels (got ${width}x${height})`
+      });
+    }
+
+    req.file.extension = dimensions.type;
+    req.file.width = width;
+    req.file.height = height;
+    next();
+  };
+
+  return [receive, validate];
+};
+
+/**
+ * Middleware for a single CSV file upload held in memory
+ * @param {String} field Multipart field name
+ * @param {Object} options
+ * @param {Number} options.maxSizeMb Maximum file size in MB
+ */
+exports.csvUpload = (field, { maxSizeMb }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSizeMb * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+      // Browsers report CSV under several MIME types, so check the extension
+      if (!/\.csv$/i.test(file.originalname)) {
+        return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', field));
+      }
+      cb(null, true);
+    }
+  });
+
+  return (req, res, next) => {
+    upload.single(field)(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const message = err.code === 'LIMIT_FILE_SIZE'
+          ? `File must be smaller than ${maxSizeMb}MB`
+          : `Please upload a .csv file in the "${field}" field`;
+        return res.status(400).json({ message });
+      }
+      if (err) return next(err);
+
+      if (!req.file) {
+        return res.status(400).json({ message: `Please upload a .csv file in the "${field}" field` });
+      }
+      next();
+    });
+  };
+};
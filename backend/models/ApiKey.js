@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { API_SCOPES } = require('../config/permissions');
+
+const ApiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a name for the key'],
+      trim: true,
+      maxlength: 100
+    },
+    // Non-secret start of the key, shown in listings so keys can be told apart
+    prefix: {
+      type: String,
+      required: true
+    },
+    // Only the SHA-256 hash of the full key is stored
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+    scopes: [{
+      type: String,
+      enum: API_SCOPES
+    }],
+    // Requests made with the key act on behalf of this user
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null
+    },
+    lastUsedIp: {
+      type: String,
+      default: null
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Virtual for checking if the key can still be used
+ApiKeySchema.virtual('isActive').get(function() {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+// Method to check if key grants a scope
+ApiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Role at the time of the action (roles change later)
+    actorRole: {
+      type: String,
+      default: ''
+    },
+    // Set when the action was performed with an API key
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      default: null
+    },
+    // Dotted action name, e.g. 'blog.status_change'
+    action: {
+      type: String,
+      required: true
+    },
+    targetType: {
+      type: String,
+      required: true
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    // Human readable target (title, email...) kept in case the target is deleted
+    targetLabel: {
+      type: String,
+      default: ''
+    },
+    // Fields that changed, with their values before and after
+    changes: [{
+      _id: false,
+      field: String,
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed
+    }],
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    ip: {
+      type: String,
+      default: ''
+    },
+    userAgent: {
+      type: String,
+      default: ''
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Indexes for the audit log filters
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are append-only: refuse updates and deletes through the model
+const appendOnly = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+
+AuditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  appendOnly
+);
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
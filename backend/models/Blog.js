@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { removeStoredFile } = require('../utils/storage');
+const { renderMarkdown } = require('../utils/markdown');
+const softDelete = require('../utils/softDelete');
 
 const BlogSchema = new mongoose.Schema(
   {
@@ -8,28 +11,71 @@ const BlogSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, 'Title cannot be more than 100 characters']
     },
+    // Markdown source, as written by the author
     content: {
       type: String,
       required: [true, 'Please provide content'],
     },
+    // Derived from content on save: sanitised HTML for display, a plain-text
+    // excerpt, estimated reading time in minutes and a heading table of contents
+    contentHtml: {
+      type: String,
+      default: ''
+    },
+    excerpt: {
+      type: String,
+      default: ''
+    },
+    readingTime: {
+      type: Number,
+      default: 1
+    },
+    toc: [{
+      _id: false,
+      level: Number,
+      text: String,
+      id: String
+    }],
     featuredImage: {
       type: String,
       default: 'default-blog.jpg'
     },
+    // Storage key of an uploaded featured image (empty when using a default or external URL)
+    featuredImageKey: {
+      type: String,
+      default: null
+    },
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true
     },
+    // Drafts are private to the author until submitted for review
     status: {
       type: String,
-      enum: ['pending', 'approved', 'rejected'],
+      enum: ['draft', 'pending', 'approved', 'rejected'],
       default: 'pending'
     },
     rejectionReason: {
       type: String,
       default: ''
     },
+    // Revision the blog was at when last rejected, so reviewers can diff the
+    // resubmission against it (cleared on approval)
+    rejectedRevision: {
+      type: Number,
+      default: null
+    },
+    // When an approved blog goes live (null = as soon as it is approved)
+    publishAt: {
+      type: Date,
+      default: null
+    },
+    // Set the first time the blog goes live
+    publishedAt: {
+      type: Date,
+      default: null
+    },
     tags: [{
       type: String,
       trim: true
@@ -47,15 +93,44 @@ const BlogSchema = new mongoose.Schema(
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
       },
+      // Removed comments keep their place (so replies stay threaded) but lose their text
       text: {
         type: String,
-        required: true
+        required: function() { return !this.removedAt; }
       },
       name: String,
       avatar: String,
       date: {
         type: Date,
         default: Date.now
+      },
+      // Top-level comment this one replies to (replies are one level deep)
+      parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+      },
+      // Users @mentioned in the text
+      mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }],
+      editedAt: {
+        type: Date,
+        default: null
+      },
+      removedAt: {
+        type: Date,
+        default: null
+      },
+      removedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      // Given when a moderator removes the comment (empty when the author deleted it)
+      removalReason: {
+        type: String,
+        default: ''
       }
     }]
   },
@@ -69,14 +144,46 @@ const BlogSchema = new mongoose.Schema(
 // Index for text search on title and content
 BlogSchema.index({ title: 'text', content: 'text', tags: 'text' });
 
-// Method to check if blog is published (approved)
+// Blogs of deleted accounts are hidden along with their author
+BlogSchema.plugin(softDelete);
+
+// Render the Markdown whenever the content changes
+BlogSchema.pre('save', function(next) {
+  if (!this.isModified('content')) return next();
+  
+  const { html, excerpt, readingTime, toc } = renderMarkdown(this.content);
+  this.contentHtml = html;
+  this.excerpt = excerpt;
+  this.readingTime = readingTime;
+  this.toc = toc;
+  
+  next();
+});
+
+// Scheduled blogs waiting to be published
+BlogSchema.index({ status: 1, publishedAt: 1, publishAt: 1 });
+
+// Conditions matching blogs that are visible to everyone (approved and not scheduled for later)
+BlogSchema.statics.publishedFilter = function() {
+  return {
+    status: 'approved',
+    $or: [{ publishAt: null }, { publishAt: { $lte: new Date() } }]
+  };
+};
+
+// Method to check if blog is published (approved and its publish time has come)
 BlogSchema.methods.isPublished = function() {
-  return this.status === 'approved';
+  return this.status === 'approved' && (!this.publishAt || this.publishAt <= new Date());
 };
 
-// Virtual for comment count
+// Method to check if a user has liked the blog
+BlogSchema.methods.isLikedBy = function(userId) {
+  return Boolean(userId) && this.likes.some(like => like.toString() === userId.toString());
+};
+
+// Virtual for comment count (removed comments are not counted)
 BlogSchema.virtual('commentCount').get(function() {
-  return this.comments.length;
+  return this.comments.filter(comment => !comment.removedAt).length;
 });
 
 // Virtual for like count
@@ -84,4 +191,10 @@ BlogSchema.virtual('likeCount').get(function() {
   return this.likes.length;
 });
 
+// Remove the uploaded featured image and revision history when the blog is deleted
+BlogSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await removeStoredFile(this.featuredImageKey);
+  await mongoose.model('BlogRevision').deleteMany({ blog: this._id });
+});
+
 module.exports = mongoose.model('Blog', BlogSchema);
\ No newline at end of file
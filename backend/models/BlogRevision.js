@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a blog's editable content, stored every time it is saved
+const BlogRevisionSchema = new mongoose.Schema(
+  {
+    blog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Blog',
+      required: true
+    },
+    // Sequential per blog, starting at 1
+    number: {
+      type: Number,
+      required: true
+    },
+    title: {
+      type: String,
+      required: true
+    },
+    content: {
+      type: String,
+      required: true
+    },
+    tags: [{
+      type: String
+    }],
+    // Blog status right after this revision was saved
+    status: {
+      type: String,
+      required: true
+    },
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Revision number this one was restored from, if any
+    restoredFrom: {
+      type: Number,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+BlogRevisionSchema.index({ blog: 1, number: -1 }, { unique: true });
+
+module.exports = mongoose.model('BlogRevision', BlogRevisionSchema);
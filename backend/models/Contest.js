@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { removeStoredFile } = require('../utils/storage');
 
 const ContestSchema = new mongoose.Schema(
   {
@@ -15,6 +16,11 @@ const ContestSchema = new mongoose.Schema(
       type: String,
       default: 'default-contest.jpg'
     },
+    // Storage key of an uploaded featured image (empty when using a default or external URL)
+    featuredImageKey: {
+      type: String,
+      default: null
+    },
     startDate: {
       type: Date,
       required: [true, 'Please provide a start date']
@@ -59,8 +65,24 @@ const ContestSchema = new mongoose.Schema(
       },
       paymentId: {
         type: String
+      },
+      // Outcome recorded by organizers once the contest is over
+      result: {
+        rank: {
+          type: Number,
+          min: 1
+        },
+        score: Number,
+        award: {
+          type: String,
+          trim: true
+        }
       }
     }],
+    resultsPublishedAt: {
+      type: Date,
+      default: null
+    },
     status: {
       type: String,
       enum: ['upcoming', 'ongoing', 'completed', 'cancelled'],
@@ -119,4 +141,9 @@ ContestSchema.methods.updateStatus = function() {
   return this.save();
 };
 
+// Remove the uploaded featured image when the contest is deleted
+ContestSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await removeStoredFile(this.featuredImageKey);
+});
+
 module.exports = mongoose.model('Contest', ContestSchema);
\ No newline at end of file
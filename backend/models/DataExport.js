@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const DataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    format: {
+      type: String,
+      enum: ['json', 'zip'],
+      default: 'zip'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'ready', 'failed'],
+      default: 'pending'
+    },
+    // Storage key of the generated file (under the private exports/ prefix)
+    fileKey: {
+      type: String,
+      default: null
+    },
+    fileSize: {
+      type: Number,
+      default: 0
+    },
+    error: {
+      type: String,
+      default: ''
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    },
+    // Generated files are removed after this date
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Index for listing a user's exports
+DataExportSchema.index({ user: 1, createdAt: -1 });
+
+// Method to check if export can be downloaded
+DataExportSchema.methods.isDownloadable = function() {
+  return this.status === 'ready' && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+module.exports = mongoose.model('DataExport', DataExportSchema);
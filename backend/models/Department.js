@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const DepartmentSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a department name'],
+      unique: true,
+      trim: true
+    },
+    // Short code shown in listings, e.g. "CSE"
+    code: {
+      type: String,
+      required: [true, 'Please provide a department code'],
+      unique: true,
+      uppercase: true,
+      trim: true
+    },
+    // Other spellings that should resolve to this department (imports, SSO claims, migration)
+    aliases: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+module.exports = mongoose.model('Department', DepartmentSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const FollowSchema = new mongoose.Schema(
+  {
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    following: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// A user follows another user at most once
+FollowSchema.index({ follower: 1, following: 1 }, { unique: true });
+
+// Followers of a user, newest first
+FollowSchema.index({ following: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', FollowSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const ImportReportSchema = new mongoose.Schema(
+  {
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    fileName: {
+      type: String,
+      default: ''
+    },
+    // Dry runs validate and preview without writing any users
+    dryRun: {
+      type: Boolean,
+      default: true
+    },
+    sendInvites: {
+      type: Boolean,
+      default: false
+    },
+    summary: {
+      total: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      unchanged: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      invited: { type: Number, default: 0 }
+    },
+    rows: [{
+      row: Number,
+      name: String,
+      email: String,
+      department: String,
+      programYear: String,
+      role: String,
+      action: {
+        type: String,
+        enum: ['create', 'update', 'unchanged', 'error']
+      },
+      invited: {
+        type: Boolean,
+        default: false
+      },
+      // Validation problems for rows with action "error"
+      issues: [String]
+    }]
+  },
+  {
+    timestamps: true
+  }
+);
+
+module.exports = mongoose.model('ImportReport', ImportReportSchema);
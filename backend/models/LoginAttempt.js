@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const LoginAttemptSchema = new mongoose.Schema(
+  {
+    // What is being throttled, e.g. "email:jane@uni.edu" or "ip:10.0.0.1"
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    failures: {
+      type: Number,
+      default: 0
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    },
+    // Record is dropped once it has been quiet for the tracking window
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Let MongoDB remove stale records automatically
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if the key is currently locked out
+LoginAttemptSchema.methods.isLocked = function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+};
+
+module.exports = mongoose.model('LoginAttempt', LoginAttemptSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A program and year of study a student can be enrolled in, e.g. "B.Tech 2nd Year",
+// "M.Tech 1st Year", "Diploma 3rd Year" or "PhD"
+const ProgramYearSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a name'],
+      unique: true,
+      trim: true
+    },
+    code: {
+      type: String,
+      required: [true, 'Please provide a code'],
+      unique: true,
+      uppercase: true,
+      trim: true
+    },
+    program: {
+      type: String,
+      required: [true, 'Please provide a program'],
+      trim: true
+    },
+    // Year of study within the program (empty for programs without years, e.g. PhD)
+    yearOfStudy: {
+      type: Number,
+      min: 1,
+      default: null
+    },
+    // Other spellings that should resolve to this entry (imports, SSO claims, migration)
+    aliases: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    // Position in dropdowns and reports
+    order: {
+      type: Number,
+      default: 0
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+module.exports = mongoose.model('ProgramYear', ProgramYearSchema);
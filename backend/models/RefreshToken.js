@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Only the SHA-256 hash of the token is stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // All tokens rotated from the same login share a family (one family = one device/session)
+    family: {
+      type: String,
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    replacedByHash: {
+      type: String,
+      default: null
+    },
+    createdByIp: String,
+    userAgent: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Index for revoking all of a user's sessions
+RefreshTokenSchema.index({ user: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ family: 1 });
+
+// Let MongoDB remove expired tokens automatically
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the token can still be used
+RefreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
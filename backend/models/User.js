@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLES, PERMISSIONS, roleHasPermission } = require('../config/permissions');
+const { removeStoredFile } = require('../utils/storage');
+const softDelete = require('../utils/softDelete');
+
+const PROFILE_VISIBILITY_LEVELS = ['public', 'members', 'private'];
 
 const UserSchema = new mongoose.Schema(
   {
@@ -26,25 +32,31 @@ const UserSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['student', 'admin'],
+      enum: ROLES,
       default: 'student'
     },
     avatar: {
       type: String,
       default: 'default-avatar.png'
     },
-    department: {
+    // Storage key of an uploaded avatar (empty when avatar is a default or external URL)
+    avatarKey: {
       type: String,
-      default: ''
+      default: null
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department',
+      default: null
     },
     bio: {
       type: String,
       maxlength: 500
     },
-    year: {
-      type: String,
-      enum: ['1st', '2nd', '3rd', '4th', 'PhD', ''],
-      default: ''
+    programYear: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProgramYear',
+      default: null
     },
     isActive: {
       type: Boolean,
@@ -54,6 +66,16 @@ const UserSchema = new mongoose.Schema(
       type: Boolean,
       default: false
     },
+    // Who can see each part of the public profile:
+    // public (anyone), members (signed-in users) or private (only the user and user managers)
+    profileVisibility: {
+      bio: { type: String, enum: PROFILE_VISIBILITY_LEVELS, default: 'public' },
+      department: { type: String, enum: PROFILE_VISIBILITY_LEVELS, default: 'public' },
+      year: { type: String, enum: PROFILE_VISIBILITY_LEVELS, default: 'members' },
+      blogs: { type: String, enum: PROFILE_VISIBILITY_LEVELS, default: 'public' },
+      contests: { type: String, enum: PROFILE_VISIBILITY_LEVELS, default: 'members' },
+      results: { type: String, enum: PROFILE_VISIBILITY_LEVELS, default: 'members' }
+    },
     contests: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Contest'
@@ -62,14 +84,79 @@ const UserSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Notification'
     }],
+    // Subject identifier from the university identity provider (OIDC single sign-on)
+    oidcSubject: {
+      type: String,
+      unique: true,
+      sparse: true
+    },
     resetPasswordToken: String,
-    resetPasswordExpire: Date
+    resetPasswordExpire: Date,
+    // Incremented to invalidate all outstanding access tokens (logout everywhere)
+    tokenVersion: {
+      type: Number,
+      default: 0
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      secret: {
+        type: String,
+        select: false
+      },
+      // SHA-256 hashes of unused one-time recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false
+      },
+      // Last TOTP time step accepted, so a code can't be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false
+      },
+      enabledAt: Date
+    },
+    // Self-service account closure: the account is closed at closureScheduledFor
+    // unless the user logs in again before then
+    closureRequestedAt: {
+      type: Date,
+      default: null
+    },
+    closureScheduledFor: {
+      type: Date,
+      default: null
+    },
+    // An admin giving up their own admin role; applied once another admin confirms
+    adminRevocation: {
+      requestedAt: {
+        type: Date,
+        default: null
+      },
+      role: {
+        type: String,
+        enum: [...ROLES.filter(role => role !== 'admin'), null],
+        default: null
+      }
+    },
+    // Set when a soft-deleted account is purged and its personal data anonymised
+    anonymizedAt: {
+      type: Date,
+      default: null
+    }
   },
   {
     timestamps: true
   }
 );
 
+// Index for department filters and breakdowns
+UserSchema.index({ department: 1 });
+
+// Deleted accounts are hidden from queries until restored or purged
+UserSchema.plugin(softDelete);
+
 // Encrypt password before saving
 UserSchema.pre('save', async function(next) {
   // Only run this function if password was modified
@@ -85,11 +172,33 @@ UserSchema.pre('save', async function(next) {
   }
 });
 
+// Remove the uploaded avatar when the user is deleted
+UserSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await removeStoredFile(this.avatarKey);
+});
+
 // Method to check if password matches
 UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Generate a password reset token, storing only its hash on the user
+// @param {Number} [expireMinutes] Lifetime override (e.g. longer for invitations)
+UserSchema.methods.getResetPasswordToken = function(expireMinutes) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+
+  // Token expires after RESET_TOKEN_EXPIRE_MINUTES (default 30 minutes)
+  const minutes = expireMinutes || parseInt(process.env.RESET_TOKEN_EXPIRE_MINUTES || '30');
+  this.resetPasswordExpire = Date.now() + minutes * 60 * 1000;
+
+  return resetToken;
+};
+
 // Virtual field for user's full blogs (with populated data)
 UserSchema.virtual('userBlogs', {
   ref: 'Blog',
@@ -102,6 +211,29 @@ UserSchema.methods.isAdmin = function() {
   return this.role === 'admin';
 };
 
+// Method to check if user's role grants a permission
+UserSchema.methods.hasPermission = function(permission) {
+  return roleHasPermission(this.role, permission);
+};
+
+// Method to check if user's role must use two-factor authentication
+UserSchema.methods.requiresTwoFactor = function() {
+  return this.role === 'admin';
+};
+
+// Method to check if a viewer may see a section of this user's public profile
+// @param {String} section Key of profileVisibility (e.g. 'bio')
+// @param {Object|null} viewer Signed-in user, or null for anonymous visitors
+UserSchema.methods.canViewProfileSection = function(section, viewer) {
+  const level = (this.profileVisibility && this.profileVisibility[section]) || 'public';
+
+  if (level === 'public') return true;
+  if (!viewer) return false;
+  if (level === 'members') return true;
+
+  return viewer.id === this.id || viewer.hasPermission(PERMISSIONS.USER_MANAGE);
+};
+
 // Method to check if user is Student
 UserSchema.methods.isStudent = function() {
   return this.role === 'student';
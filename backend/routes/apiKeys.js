@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const passport = require('passport');
+const apiKeyController = require('../controllers/apiKey');
+const { requirePermission } = require('../middleware/rbac');
+const { PERMISSIONS, API_SCOPES } = require('../config/permissions');
+
+// Authentication middleware
+const auth = passport.authenticate('jwt', { session: false });
+const canManageUsers = requirePermission(PERMISSIONS.USER_MANAGE);
+
+// @route   POST /api/api-keys
+// @desc    Create an API key
+// @access  Private (user:manage)
+router.post(
+  '/',
+  [
+    auth,
+    canManageUsers,
+    [
+      check('name', 'Name is required').not().isEmpty(),
+      check('scopes', 'At least one scope is required').isArray({ min: 1 }),
+      check('scopes.*', `Scopes must be one of: ${API_SCOPES.join(', ')}`).isIn(API_SCOPES),
+      check('expiresAt', 'Expiry must be a future date')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .custom(value => new Date(value) > new Date())
+    ]
+  ],
+  apiKeyController.createApiKey
+);
+
+// @route   GET /api/api-keys
+// @desc    Get all API keys
+// @access  Private (user:manage)
+router.get('/', [auth, canManageUsers], apiKeyController.getApiKeys);
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private (user:manage)
+router.delete('/:id', [auth, canManageUsers], apiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const passport = require('passport');
+const auditController = require('../controllers/audit');
+const { requirePermission } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Authentication middleware
+const auth = passport.authenticate('jwt', { session: false });
+const canViewAudit = requirePermission(PERMISSIONS.AUDIT_VIEW);
+
+// Filters shared by the list and the CSV export
+const auditFilters = [
+  query('actor', 'Actor must be a valid user ID').optional().isMongoId(),
+  query('targetId', 'Target must be a valid ID').optional().isMongoId(),
+  query('from', 'From must be a valid date').optional().isISO8601(),
+  query('to', 'To must be a valid date').optional().isISO8601()
+];
+
+// @route   GET /api/audit
+// @desc    Get audit log entries (filters: actor, action, targetType, targetId, from, to)
+// @access  Private (audit:view)
+router.get('/', [auth, canViewAudit, auditFilters], auditController.getAuditLogs);
+
+// @route   GET /api/audit/export.csv
+// @desc    Export audit log entries as CSV
+// @access  Private (audit:view)
+router.get('/export.csv', [auth, canViewAudit, auditFilters], auditController.exportAuditLogs);
+
+module.exports = router;
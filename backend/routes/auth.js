@@ -3,10 +3,22 @@ const router = express.Router();
 const { check } = require('express-validator');
 const passport = require('passport');
 const authController = require('../controllers/auth');
+const { passwordPolicyCheck } = require('../utils/passwordPolicy');
+const { authOrSetupChallenge } = require('../middleware/twoFactor');
+const { getOidcConfig } = require('../config/oidc');
+const { imageUpload } = require('../middleware/upload');
 
 // Authentication middleware
 const auth = passport.authenticate('jwt', { session: false });
 
+// Single sign-on routes only exist when an identity provider is configured
+const oidcEnabled = (req, res, next) => {
+  if (!getOidcConfig()) {
+    return res.status(404).json({ message: 'Single sign-on is not configured' });
+  }
+  next();
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a user
 // @access  Public
@@ -15,7 +27,9 @@ router.post(
   [
     check('name', 'Name is required').not().isEmpty(),
     check('email', 'Please include a valid email').isEmail(),
-    check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+    passwordPolicyCheck('password'),
+    check('department', 'Department must be a valid ID').optional({ values: 'falsy' }).isMongoId(),
+    check('programYear', 'Program/year must be a valid ID').optional({ values: 'falsy' }).isMongoId()
   ],
   authController.register
 );
@@ -37,9 +51,223 @@ router.post(
 // @access  Private
 router.get('/me', auth, authController.getCurrentUser);
 
+// @route   GET /api/auth/me/export
+// @desc    Export personal data (?format=json|zip, ?async=true to always queue)
+// @access  Private
+router.get('/me/export', auth, authController.exportMyData);
+
+// @route   GET /api/auth/me/export/:id
+// @desc    Get the status of a queued data export
+// @access  Private
+router.get('/me/export/:id', auth, authController.getDataExport);
+
+// @route   GET /api/auth/me/export/:id/download
+// @desc    Download a completed data export
+// @access  Private
+router.get('/me/export/:id/download', auth, authController.downloadDataExport);
+
 // @route   PUT /api/auth/update-profile
 // @desc    Update user profile
 // @access  Private
-router.put('/update-profile', auth, authController.updateProfile);
+router.put(
+  '/update-profile',
+  [
+    auth,
+    [
+      check('department', 'Department must be a valid ID').optional({ values: 'null' }).isMongoId(),
+      check('programYear', 'Program/year must be a valid ID').optional({ values: 'null' }).isMongoId()
+    ]
+  ],
+  authController.updateProfile
+);
+
+// @route   PUT /api/auth/profile-visibility
+// @desc    Set who can see each profile section (public, members or private)
+// @access  Private
+router.put(
+  '/profile-visibility',
+  [
+    auth,
+    ['bio', 'department', 'year', 'blogs', 'contests', 'results'].map(section =>
+      check(section, `${section} visibility must be public, members or private`)
+        .optional()
+        .isIn(['public', 'members', 'private'])
+    )
+  ],
+  authController.updateProfileVisibility
+);
+
+// @route   PUT /api/auth/avatar
+// @desc    Upload avatar (multipart field "avatar")
+// @access  Private
+router.put(
+  '/avatar',
+  [
+    auth,
+    imageUpload('avatar', { maxSizeMb: 2, minWidth: 64, minHeight: 64, maxWidth: 4096, maxHeight: 4096 })
+  ],
+  authController.uploadAvatar
+);
+
+// @route   PUT /api/auth/change-password
+// @desc    Change password (requires current password)
+// @access  Private
+router.put(
+  '/change-password',
+  [
+    auth,
+    [
+      check('currentPassword', 'Current password is required').not().isEmpty(),
+      passwordPolicyCheck('newPassword')
+    ]
+  ],
+  authController.changePassword
+);
+
+// @route   POST /api/auth/close-account
+// @desc    Request closure of your own account (cancelled by logging in during the grace period)
+// @access  Private
+router.post(
+  '/close-account',
+  [
+    auth,
+    [
+      check('password', 'Password is required to close your account').not().isEmpty()
+    ]
+  ],
+  authController.closeAccount
+);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Request a password reset email
+// @access  Public
+router.post(
+  '/forgot-password',
+  [
+    check('email', 'Please include a valid email').isEmail()
+  ],
+  authController.forgotPassword
+);
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Reset password using a reset token
+// @access  Public
+router.post(
+  '/reset-password/:token',
+  [
+    passwordPolicyCheck('password')
+  ],
+  authController.resetPassword
+);
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Verify email address
+// @access  Public
+router.get('/verify-email/:token', authController.verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend email verification link
+// @access  Private
+router.post('/resend-verification', auth, authController.resendVerification);
+
+// @route   POST /api/auth/refresh-token
+// @desc    Exchange a refresh token for a new token pair
+// @access  Public
+router.post(
+  '/refresh-token',
+  [
+    check('refreshToken', 'Refresh token is required').not().isEmpty()
+  ],
+  authController.refreshToken
+);
+
+// @route   POST /api/auth/logout
+// @desc    Log out the current session
+// @access  Public (requires refresh token)
+router.post(
+  '/logout',
+  [
+    check('refreshToken', 'Refresh token is required').not().isEmpty()
+  ],
+  authController.logout
+);
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out of all devices
+// @access  Private
+router.post('/logout-all', auth, authController.logoutAll);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment (generate secret and QR code)
+// @access  Private (or 2FA setup challenge)
+router.post('/2fa/setup', authOrSetupChallenge, authController.setupTwoFactor);
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code and enable two-factor
+// @access  Private (or 2FA setup challenge)
+router.post(
+  '/2fa/enable',
+  [
+    authOrSetupChallenge,
+    [
+      check('code', 'Authentication code is required').not().isEmpty()
+    ]
+  ],
+  authController.enableTwoFactor
+);
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete login with a TOTP or recovery code
+// @access  Public (requires 2FA login challenge)
+router.post(
+  '/2fa/verify',
+  [
+    check('challengeToken', 'Challenge token is required').not().isEmpty(),
+    check('code', 'Authentication code or recovery code is required')
+      .if((value, { req }) => !req.body.recoveryCode)
+      .not()
+      .isEmpty()
+  ],
+  authController.verifyTwoFactorLogin
+);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes
+// @access  Private
+router.post(
+  '/2fa/recovery-codes',
+  [
+    auth,
+    [
+      check('code', 'Authentication code is required').not().isEmpty()
+    ]
+  ],
+  authController.regenerateRecoveryCodes
+);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post(
+  '/2fa/disable',
+  [
+    auth,
+    [
+      check('password', 'Password is required').not().isEmpty(),
+      check('code', 'Authentication code is required').not().isEmpty()
+    ]
+  ],
+  authController.disableTwoFactor
+);
+
+// @route   GET /api/auth/oidc
+// @desc    Start university single sign-on (redirects to the identity provider)
+// @access  Public
+router.get('/oidc', oidcEnabled, passport.authenticate('oidc', { session: false }));
+
+// @route   GET /api/auth/oidc/callback
+// @desc    Finish university single sign-on
+// @access  Public (IdP redirect)
+router.get('/oidc/callback', oidcEnabled, authController.oidcCallback);
 
 module.exports = router;
\ No newline at end of file
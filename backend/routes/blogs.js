@@ -1,33 +1,39 @@
 const express = require('express');
 const router = express.Router();
-const { check } = require('express-validator');
+const { check, param, query } = require('express-validator');
 const passport = require('passport');
 const blogController = require('../controllers/blog');
-const { isAdmin, isStudent, isOwnerOrAdmin } = require('../middleware/rbac');
+const blogRevisionController = require('../controllers/blogRevision');
+const { requirePermission, isVerified, isOwnerOrPermitted } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../config/permissions');
+const { imageUpload } = require('../middleware/upload');
+const { optionalAuth } = require('../middleware/auth');
 
 // Authentication middleware
 const auth = passport.authenticate('jwt', { session: false });
 
 // @route   POST /api/blogs
-// @desc    Create a new blog
-// @access  Private (Student)
+// @desc    Create a new blog (status "draft" saves it without submitting for review)
+// @access  Private (blog:create)
 router.post(
   '/',
   [
     auth,
-    isStudent,
+    requirePermission(PERMISSIONS.BLOG_CREATE),
+    isVerified,
     [
       check('title', 'Title is required').not().isEmpty(),
-      check('content', 'Content is required').not().isEmpty()
+      check('content', 'Content is required').not().isEmpty(),
+      check('status', 'Status must be draft or pending').optional().isIn(['draft', 'pending'])
     ]
   ],
   blogController.createBlog
 );
 
 // @route   GET /api/blogs
-// @desc    Get all blogs
+// @desc    Get all blogs (?feed=following for blogs by authors the user follows)
 // @access  Public (with filtering for status)
-router.get('/', blogController.getBlogs);
+router.get('/', optionalAuth(), blogController.getBlogs);
 
 // @route   GET /api/blogs/my-blogs
 // @desc    Get all blogs by current user
@@ -37,16 +43,16 @@ router.get('/my-blogs', auth, blogController.getMyBlogs);
 // @route   GET /api/blogs/:id
 // @desc    Get blog by ID
 // @access  Public or Private (depending on status)
-router.get('/:id', blogController.getBlogById);
+router.get('/:id', optionalAuth(), blogController.getBlogById);
 
 // @route   PUT /api/blogs/:id
 // @desc    Update blog
-// @access  Private (Owner)
+// @access  Private (Owner or blog:moderate)
 router.put(
   '/:id',
   [
     auth,
-    isOwnerOrAdmin(async (req) => {
+    isOwnerOrPermitted(PERMISSIONS.BLOG_MODERATE, async (req) => {
       const blog = await require('../models/Blog').findById(req.params.id);
       return blog ? blog.author : null;
     }),
@@ -60,48 +66,167 @@ router.put(
 
 // @route   DELETE /api/blogs/:id
 // @desc    Delete blog
-// @access  Private (Owner or Admin)
+// @access  Private (Owner or blog:moderate)
 router.delete(
   '/:id',
   auth,
-  isOwnerOrAdmin(async (req) => {
+  isOwnerOrPermitted(PERMISSIONS.BLOG_MODERATE, async (req) => {
     const blog = await require('../models/Blog').findById(req.params.id);
     return blog ? blog.author : null;
   }),
   blogController.deleteBlog
 );
 
+// @route   PUT /api/blogs/:id/featured-image
+// @desc    Upload blog featured image (multipart field "image")
+// @access  Private (Owner or blog:moderate)
+router.put(
+  '/:id/featured-image',
+  [
+    auth,
+    isOwnerOrPermitted(PERMISSIONS.BLOG_MODERATE, async (req) => {
+      const blog = await require('../models/Blog').findById(req.params.id);
+      return blog ? blog.author : null;
+    }),
+    imageUpload('image', { maxSizeMb: 5, minWidth: 400, minHeight: 200 })
+  ],
+  blogController.uploadFeaturedImage
+);
+
+// @route   PUT /api/blogs/:id/submit
+// @desc    Submit a draft (or a rejected blog) for review
+// @access  Private (Owner)
+router.put('/:id/submit', [auth, isVerified], blogController.submitBlog);
+
+// @route   GET /api/blogs/:id/revisions
+// @desc    List a blog's revisions
+// @access  Private (Owner or blog:moderate)
+router.get('/:id/revisions', auth, blogRevisionController.getRevisions);
+
+// @route   GET /api/blogs/:id/revisions/diff?from=&to=
+// @desc    Compare two revisions of a blog (by default the latest with the previous one,
+//          or with the rejected revision after a rejection)
+// @access  Private (Owner or blog:moderate)
+router.get(
+  '/:id/revisions/diff',
+  [
+    auth,
+    [
+      query('from', 'from must be a revision number').optional().isInt({ min: 1 }),
+      query('to', 'to must be a revision number').optional().isInt({ min: 1 })
+    ]
+  ],
+  blogRevisionController.getRevisionDiff
+);
+
+// @route   GET /api/blogs/:id/revisions/:number
+// @desc    Get a single revision of a blog
+// @access  Private (Owner or blog:moderate)
+router.get(
+  '/:id/revisions/:number',
+  [
+    auth,
+    [
+      param('number', 'Revision number must be a positive integer').isInt({ min: 1 })
+    ]
+  ],
+  blogRevisionController.getRevision
+);
+
+// @route   POST /api/blogs/:id/revisions/:number/restore
+// @desc    Restore an older revision of a blog
+// @access  Private (Owner or blog:moderate)
+router.post(
+  '/:id/revisions/:number/restore',
+  [
+    auth,
+    [
+      param('number', 'Revision number must be a positive integer').isInt({ min: 1 })
+    ]
+  ],
+  blogRevisionController.restoreRevision
+);
+
 // @route   PUT /api/blogs/:id/status
-// @desc    Change blog status (approve/reject)
-// @access  Private (Admin only)
+// @desc    Change blog status (approve/reject, optionally approving with a future publishAt)
+// @access  Private (blog:moderate)
 router.put(
   '/:id/status',
   [
     auth,
-    isAdmin,
+    requirePermission(PERMISSIONS.BLOG_MODERATE),
     [
       check('status', 'Status is required').isIn(['approved', 'rejected']),
       check('rejectionReason', 'Rejection reason is required when status is rejected')
         .if((value, { req }) => req.body.status === 'rejected')
         .not()
-        .isEmpty()
+        .isEmpty(),
+      check('publishAt', 'Publish time must be a date in the future')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .custom(value => new Date(value) > new Date())
     ]
   ],
   blogController.changeBlogStatus
 );
 
+// @route   POST /api/blogs/:id/like
+// @desc    Like a blog
+// @access  Private
+router.post('/:id/like', auth, blogController.likeBlog);
+
+// @route   DELETE /api/blogs/:id/like
+// @desc    Remove a like from a blog
+// @access  Private
+router.delete('/:id/like', auth, blogController.unlikeBlog);
+
 // @route   POST /api/blogs/:id/comments
-// @desc    Add comment to blog
+// @desc    Add comment to blog, or reply to a comment with parentId
 // @access  Private
 router.post(
   '/:id/comments',
   [
     auth,
     [
-      check('text', 'Comment text is required').not().isEmpty()
+      check('text', 'Comment text is required').not().isEmpty(),
+      check('parentId', 'Parent comment must be a valid ID').optional().isMongoId()
     ]
   ],
   blogController.addComment
 );
 
+// @route   PUT /api/blogs/:id/comments/:commentId
+// @desc    Edit a comment
+// @access  Private (comment author)
+router.put(
+  '/:id/comments/:commentId',
+  [
+    auth,
+    [
+      check('text', 'Comment text is required').not().isEmpty()
+    ]
+  ],
+  blogController.updateComment
+);
+
+// @route   DELETE /api/blogs/:id/comments/:commentId
+// @desc    Delete a comment
+// @access  Private (comment author)
+router.delete('/:id/comments/:commentId', auth, blogController.deleteComment);
+
+// @route   PUT /api/blogs/:id/comments/:commentId/remove
+// @desc    Remove a comment as a moderator
+// @access  Private (blog:moderate)
+router.put(
+  '/:id/comments/:commentId/remove',
+  [
+    auth,
+    requirePermission(PERMISSIONS.BLOG_MODERATE),
+    [
+      check('reason', 'A reason is required').trim().not().isEmpty()
+    ]
+  ],
+  blogController.removeComment
+);
+
 module.exports = router;
\ No newline at end of file
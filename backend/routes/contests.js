@@ -3,19 +3,24 @@ const router = express.Router();
 const { check } = require('express-validator');
 const passport = require('passport');
 const contestController = require('../controllers/contest');
-const { isAdmin, isStudent } = require('../middleware/rbac');
+const { requirePermission, requireScope, isVerified } = require('../middleware/rbac');
+const { optionalAuth } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/upload');
+const { PERMISSIONS } = require('../config/permissions');
 
 // Authentication middleware
 const auth = passport.authenticate('jwt', { session: false });
+const authOrApiKey = passport.authenticate(['jwt', 'apikey'], { session: false });
 
 // @route   POST /api/contests
 // @desc    Create a new contest
-// @access  Private (Admin)
+// @access  Private (contest:manage, API key scope contests:write)
 router.post(
   '/',
   [
-    auth,
-    isAdmin,
+    authOrApiKey,
+    requireScope('contests:write'),
+    requirePermission(PERMISSIONS.CONTEST_MANAGE),
     [
       check('title', 'Title is required').not().isEmpty(),
       check('description', 'Description is required').not().isEmpty(),
@@ -30,8 +35,12 @@ router.post(
 
 // @route   GET /api/contests
 // @desc    Get all contests
-// @access  Public
-router.get('/', contestController.getContests);
+// @access  Public (API keys need scope contests:read)
+router.get(
+  '/',
+  [optionalAuth(['jwt', 'apikey']), requireScope('contests:read')],
+  contestController.getContests
+);
 
 // @route   GET /api/contests/my-contests
 // @desc    Get registered contests for current user
@@ -40,17 +49,22 @@ router.get('/my-contests', auth, contestController.getMyContests);
 
 // @route   GET /api/contests/:id
 // @desc    Get contest by ID
-// @access  Public
-router.get('/:id', contestController.getContestById);
+// @access  Public (API keys need scope contests:read)
+router.get(
+  '/:id',
+  [optionalAuth(['jwt', 'apikey']), requireScope('contests:read')],
+  contestController.getContestById
+);
 
 // @route   PUT /api/contests/:id
 // @desc    Update contest
-// @access  Private (Admin)
+// @access  Private (contest:manage, API key scope contests:write)
 router.put(
   '/:id',
   [
-    auth,
-    isAdmin,
+    authOrApiKey,
+    requireScope('contests:write'),
+    requirePermission(PERMISSIONS.CONTEST_MANAGE),
     [
       check('title', 'Title is required').optional().not().isEmpty(),
       check('description', 'Description is required').optional().not().isEmpty(),
@@ -66,12 +80,45 @@ router.put(
   contestController.updateContest
 );
 
+// @route   PUT /api/contests/:id/featured-image
+// @desc    Upload contest featured image (multipart field "image")
+// @access  Private (contest:manage)
+router.put(
+  '/:id/featured-image',
+  [
+    auth,
+    requirePermission(PERMISSIONS.CONTEST_MANAGE),
+    imageUpload('image', { maxSizeMb: 5, minWidth: 400, minHeight: 200 })
+  ],
+  contestController.uploadFeaturedImage
+);
+
+// @route   PUT /api/contests/:id/results
+// @desc    Record contest results (rank, score and award per participant)
+// @access  Private (contest:manage, API key scope contests:write)
+router.put(
+  '/:id/results',
+  [
+    authOrApiKey,
+    requireScope('contests:write'),
+    requirePermission(PERMISSIONS.CONTEST_MANAGE),
+    [
+      check('results', 'Results must be a non-empty list').isArray({ min: 1 }),
+      check('results.*.user', 'Each result needs a valid participant ID').isMongoId(),
+      check('results.*.rank', 'Rank must be a positive integer').optional().isInt({ min: 1 }).toInt(),
+      check('results.*.score', 'Score must be a number').optional().isNumeric().toFloat(),
+      check('results.*.award', 'Award must be text').optional().isString().trim()
+    ]
+  ],
+  contestController.recordResults
+);
+
 // @route   POST /api/contests/:id/register
 // @desc    Register for contest
-// @access  Private (Student)
+// @access  Private (contest:register)
 router.post(
   '/:id/register',
-  [auth, isStudent],
+  [auth, requirePermission(PERMISSIONS.CONTEST_REGISTER), isVerified],
   contestController.registerForContest
 );
 
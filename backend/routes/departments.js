@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const passport = require('passport');
+const departmentController = require('../controllers/department');
+const { requirePermission } = require('../middleware/rbac');
+const { optionalAuth } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Authentication middleware
+const auth = passport.authenticate('jwt', { session: false });
+const canManageAcademic = requirePermission(PERMISSIONS.ACADEMIC_MANAGE);
+
+// @route   GET /api/departments
+// @desc    Get all departments (?includeInactive=true for managers)
+// @access  Public
+router.get('/', optionalAuth(), departmentController.getDepartments);
+
+// @route   POST /api/departments
+// @desc    Create a department
+// @access  Private (academic:manage)
+router.post(
+  '/',
+  [
+    auth,
+    canManageAcademic,
+    [
+      check('name', 'Name is required').trim().not().isEmpty(),
+      check('code', 'Code is required').trim().not().isEmpty(),
+      check('aliases', 'Aliases must be a list').optional().isArray(),
+      check('aliases.*', 'Aliases must be text').isString()
+    ]
+  ],
+  departmentController.createDepartment
+);
+
+// @route   PUT /api/departments/:id
+// @desc    Update a department
+// @access  Private (academic:manage)
+router.put(
+  '/:id',
+  [
+    auth,
+    canManageAcademic,
+    [
+      check('name', 'Name must not be empty').optional().trim().not().isEmpty(),
+      check('code', 'Code must not be empty').optional().trim().not().isEmpty(),
+      check('aliases', 'Aliases must be a list').optional().isArray(),
+      check('aliases.*', 'Aliases must be text').isString(),
+      check('isActive', 'Active status must be a boolean').optional().isBoolean()
+    ]
+  ],
+  departmentController.updateDepartment
+);
+
+// @route   DELETE /api/departments/:id
+// @desc    Delete an unused department
+// @access  Private (academic:manage)
+router.delete('/:id', [auth, canManageAcademic], departmentController.deleteDepartment);
+
+module.exports = router;
@@ -3,19 +3,23 @@ const router = express.Router();
 const { check } = require('express-validator');
 const passport = require('passport');
 const notificationController = require('../controllers/notification');
-const { isAdmin } = require('../middleware/rbac');
+const { requirePermission, requireScope } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../config/permissions');
 
 // Authentication middleware
 const auth = passport.authenticate('jwt', { session: false });
+const authOrApiKey = passport.authenticate(['jwt', 'apikey'], { session: false });
+const canBroadcast = requirePermission(PERMISSIONS.NOTIFICATION_BROADCAST);
 
 // @route   POST /api/notifications
 // @desc    Create a new notification
-// @access  Private (Admin)
+// @access  Private (notification:broadcast, API key scope notifications:write)
 router.post(
   '/',
   [
-    auth,
-    isAdmin,
+    authOrApiKey,
+    requireScope('notifications:write'),
+    canBroadcast,
     [
       check('title', 'Title is required').not().isEmpty(),
       check('message', 'Message is required').not().isEmpty(),
@@ -45,12 +49,12 @@ router.put('/:id/read', auth, notificationController.markAsRead);
 
 // @route   GET /api/notifications/all
 // @desc    Get all notifications (admin)
-// @access  Private (Admin)
-router.get('/all', [auth, isAdmin], notificationController.getAllNotifications);
+// @access  Private (notification:broadcast)
+router.get('/all', [auth, canBroadcast], notificationController.getAllNotifications);
 
 // @route   DELETE /api/notifications/:id
 // @desc    Delete notification
-// @access  Private (Admin)
-router.delete('/:id', [auth, isAdmin], notificationController.deleteNotification);
+// @access  Private (notification:broadcast)
+router.delete('/:id', [auth, canBroadcast], notificationController.deleteNotification);
 
 module.exports = router;
\ No newline at end of file
@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const passport = require('passport');
 const paymentController = require('../controllers/payment');
-const { isAdmin } = require('../middleware/rbac');
+const { requirePermission } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../config/permissions');
 
 // Authentication middleware
 const auth = passport.authenticate('jwt', { session: false });
@@ -24,12 +25,12 @@ router.get('/history', auth, paymentController.getPaymentHistory);
 
 // @route   GET /api/payments/all
 // @desc    Get all payments (admin)
-// @access  Private (Admin)
-router.get('/all', [auth, isAdmin], paymentController.getAllPayments);
+// @access  Private (payment:manage)
+router.get('/all', [auth, requirePermission(PERMISSIONS.PAYMENT_MANAGE)], paymentController.getAllPayments);
 
 // @route   GET /api/payments/:id
 // @desc    Get payment by ID
-// @access  Private (Owner or Admin)
+// @access  Private (Owner or payment:manage)
 router.get('/:id', auth, paymentController.getPaymentById);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const passport = require('passport');
+const programYearController = require('../controllers/programYear');
+const { requirePermission } = require('../middleware/rbac');
+const { optionalAuth } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Authentication middleware
+const auth = passport.authenticate('jwt', { session: false });
+const canManageAcademic = requirePermission(PERMISSIONS.ACADEMIC_MANAGE);
+
+// @route   GET /api/program-years
+// @desc    Get all programs / years of study (?program=, ?includeInactive=true for managers)
+// @access  Public
+router.get('/', optionalAuth(), programYearController.getProgramYears);
+
+// @route   POST /api/program-years
+// @desc    Create a program / year of study
+// @access  Private (academic:manage)
+router.post(
+  '/',
+  [
+    auth,
+    canManageAcademic,
+    [
+      check('name', 'Name is required').trim().not().isEmpty(),
+      check('code', 'Code is required').trim().not().isEmpty(),
+      check('program', 'Program is required').trim().not().isEmpty(),
+      check('yearOfStudy', 'Year of study must be a positive integer').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+      check('order', 'Order must be a number').optional().isInt().toInt(),
+      check('aliases', 'Aliases must be a list').optional().isArray(),
+      check('aliases.*', 'Aliases must be text').isString()
+    ]
+  ],
+  programYearController.createProgramYear
+);
+
+// @route   PUT /api/program-years/:id
+// @desc    Update a program / year of study
+// @access  Private (academic:manage)
+router.put(
+  '/:id',
+  [
+    auth,
+    canManageAcademic,
+    [
+      check('name', 'Name must not be empty').optional().trim().not().isEmpty(),
+      check('code', 'Code must not be empty').optional().trim().not().isEmpty(),
+      check('program', 'Program must not be empty').optional().trim().not().isEmpty(),
+      check('yearOfStudy', 'Year of study must be a positive integer').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+      check('order', 'Order must be a number').optional().isInt().toInt(),
+      check('aliases', 'Aliases must be a list').optional().isArray(),
+      check('aliases.*', 'Aliases must be text').isString(),
+      check('isActive', 'Active status must be a boolean').optional().isBoolean()
+    ]
+  ],
+  programYearController.updateProgramYear
+);
+
+// @route   DELETE /api/program-years/:id
+// @desc    Delete an unused program / year of study
+// @access  Private (academic:manage)
+router.delete('/:id', [auth, canManageAcademic], programYearController.deleteProgramYear);
+
+module.exports = router;
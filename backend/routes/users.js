@@ -1,42 +1,104 @@
 const express = require('express');
 const router = express.Router();
-const { check } = require('express-validator');
+const { check, query } = require('express-validator');
 const passport = require('passport');
 const userController = require('../controllers/user');
-const { isAdmin } = require('../middleware/rbac');
+const followController = require('../controllers/follow');
+const { requirePermission } = require('../middleware/rbac');
+const { ROLES, PERMISSIONS } = require('../config/permissions');
+const { csvUpload } = require('../middleware/upload');
+const { optionalAuth } = require('../middleware/auth');
 
 // Authentication middleware
 const auth = passport.authenticate('jwt', { session: false });
+const canManageUsers = requirePermission(PERMISSIONS.USER_MANAGE);
 
 // @route   GET /api/users
 // @desc    Get all users (admin)
-// @access  Private (Admin)
-router.get('/', [auth, isAdmin], userController.getAllUsers);
+// @access  Private (user:manage)
+router.get('/', [auth, canManageUsers], userController.getAllUsers);
 
 // @route   GET /api/users/stats
 // @desc    Get user statistics (admin)
-// @access  Private (Admin)
-router.get('/stats', [auth, isAdmin], userController.getUserStats);
+// @access  Private (user:manage)
+router.get('/stats', [auth, canManageUsers], userController.getUserStats);
+
+// @route   GET /api/users/deleted
+// @desc    Get deleted users that can still be restored
+// @access  Private (user:manage)
+router.get('/deleted', [auth, canManageUsers], userController.getDeletedUsers);
+
+// @route   POST /api/users/import
+// @desc    Import users from a CSV roster (multipart field "file"; dryRun defaults to true)
+// @access  Private (user:manage)
+router.post(
+  '/import',
+  [auth, canManageUsers, csvUpload('file', { maxSizeMb: 5 })],
+  userController.importUsers
+);
+
+// @route   GET /api/users/import/:id
+// @desc    Get an import report
+// @access  Private (user:manage)
+router.get('/import/:id', [auth, canManageUsers], userController.getImportReport);
+
+// @route   GET /api/users/import/:id/report.csv
+// @desc    Download an import report as CSV
+// @access  Private (user:manage)
+router.get('/import/:id/report.csv', [auth, canManageUsers], userController.downloadImportReport);
+
+// @route   GET /api/users/:id/profile
+// @desc    Get a user's public profile
+// @access  Public (sections follow the user's visibility settings)
+router.get('/:id/profile', optionalAuth(), userController.getPublicProfile);
+
+// @route   POST /api/users/:id/follow
+// @desc    Follow a user
+// @access  Private
+router.post('/:id/follow', auth, followController.followUser);
+
+// @route   DELETE /api/users/:id/follow
+// @desc    Unfollow a user
+// @access  Private
+router.delete('/:id/follow', auth, followController.unfollowUser);
+
+// Paging for the follower / following lists
+const followPagination = [
+  query('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
+  query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+];
+
+// @route   GET /api/users/:id/followers
+// @desc    Get the users following a user
+// @access  Public
+router.get('/:id/followers', [optionalAuth(), followPagination], followController.getFollowers);
+
+// @route   GET /api/users/:id/following
+// @desc    Get the users a user follows
+// @access  Public
+router.get('/:id/following', [optionalAuth(), followPagination], followController.getFollowing);
 
 // @route   GET /api/users/:id
 // @desc    Get user by ID
-// @access  Private (Admin)
-router.get('/:id', [auth, isAdmin], userController.getUserById);
+// @access  Private (user:manage)
+router.get('/:id', [auth, canManageUsers], userController.getUserById);
 
 // @route   PUT /api/users/:id
 // @desc    Update user (admin)
-// @access  Private (Admin)
+// @access  Private (user:manage)
 router.put(
   '/:id',
   [
     auth,
-    isAdmin,
+    canManageUsers,
     [
       check('name', 'Name must not be empty').optional().not().isEmpty(),
       check('email', 'Please include a valid email').optional().isEmail(),
-      check('role', 'Role must be either student or admin').optional().isIn(['student', 'admin']),
+      check('role', `Role must be one of: ${ROLES.join(', ')}`).optional().isIn(ROLES),
       check('isActive', 'Active status must be a boolean').optional().isBoolean(),
-      check('isVerified', 'Verified status must be a boolean').optional().isBoolean()
+      check('isVerified', 'Verified status must be a boolean').optional().isBoolean(),
+      check('department', 'Department must be a valid ID').optional({ values: 'null' }).isMongoId(),
+      check('programYear', 'Program/year must be a valid ID').optional({ values: 'null' }).isMongoId()
     ]
   ],
   userController.updateUser
@@ -44,12 +106,64 @@ router.put(
 
 // @route   DELETE /api/users/:id
 // @desc    Delete user (admin)
-// @access  Private (Admin)
-router.delete('/:id', [auth, isAdmin], userController.deleteUser);
+// @access  Private (user:manage)
+router.delete('/:id', [auth, canManageUsers], userController.deleteUser);
+
+// @route   PUT /api/users/:id/restore
+// @desc    Restore a deleted user within the retention window
+// @access  Private (user:manage)
+router.put('/:id/restore', [auth, canManageUsers], userController.restoreUser);
 
 // @route   PUT /api/users/:id/make-admin
 // @desc    Make user admin
-// @access  Private (Admin)
-router.put('/:id/make-admin', [auth, isAdmin], userController.makeAdmin);
+// @access  Private (user:manage)
+router.put('/:id/make-admin', [auth, canManageUsers], userController.makeAdmin);
+
+// @route   PUT /api/users/:id/revoke-admin
+// @desc    Revoke admin privileges (self-demotion needs another admin to confirm)
+// @access  Private (user:manage)
+router.put(
+  '/:id/revoke-admin',
+  [
+    auth,
+    canManageUsers,
+    [
+      check('role', 'Role must be a non-admin role')
+        .optional()
+        .isIn(ROLES.filter(role => role !== 'admin'))
+    ]
+  ],
+  userController.revokeAdmin
+);
+
+// @route   PUT /api/users/:id/revoke-admin/confirm
+// @desc    Confirm another admin's self-demotion request
+// @access  Private (user:manage)
+router.put('/:id/revoke-admin/confirm', [auth, canManageUsers], userController.confirmAdminRevocation);
+
+// @route   DELETE /api/users/:id/revoke-admin
+// @desc    Cancel a pending self-demotion request
+// @access  Private (user:manage)
+router.delete('/:id/revoke-admin', [auth, canManageUsers], userController.cancelAdminRevocation);
+
+// @route   PUT /api/users/:id/unlock
+// @desc    Unlock a user's account after failed login attempts
+// @access  Private (user:manage)
+router.put('/:id/unlock', [auth, canManageUsers], userController.unlockUser);
+
+// @route   PUT /api/users/:id/role
+// @desc    Assign a role to a user
+// @access  Private (user:manage)
+router.put(
+  '/:id/role',
+  [
+    auth,
+    canManageUsers,
+    [
+      check('role', `Role must be one of: ${ROLES.join(', ')}`).isIn(ROLES)
+    ]
+  ],
+  userController.assignRole
+);
 
 module.exports = router;
\ No newline at end of file
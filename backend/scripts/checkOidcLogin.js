@@ -0,0 +1,148 @@
+/**
+ * End-to-end check of university single sign-on against the mock provider in
+ * scripts/mockOidcProvider.js: provisioning a new account, logging in again,
+ * linking an existing account by email and the cases that must be refused.
+ *
+ * Usage:
+ *   MONGODB_URI=mongodb://localhost:27017/sso-check node scripts/checkOidcLogin.js
+ *
+ * Creates users with @example.com addresses in that database and removes them
+ * again at the end. Point it at a scratch database, not production.
+ */
+require('dotenv').config();
+const assert = require('assert');
+const crypto = require('crypto');
+const axios = require('axios');
+const express = require('express');
+const mongoose = require('mongoose');
+const { Passport } = require('passport');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+const { startMockOidcProvider } = require('./mockOidcProvider');
+
+const runId = crypto.randomBytes(4).toString('hex');
+const emailFor = (name) => `oidc-check-${runId}-${name}@example.com`;
+
+/**
+ * Serve the OIDC login and callback routes the way routes/auth.js does,
+ * answering with the outcome as JSON instead of redirecting to the client
+ */
+const startApp = (passport) => {
+  const app = express();
+  app.use(passport.initialize());
+
+  app.get('/login', passport.authenticate('oidc', { session: false }));
+
+  app.get('/callback', (req, res, next) => {
+    passport.authenticate('oidc', { session: false }, (err, user, info) => {
+      if (err) return next(err);
+      res.json(user
+        ? { userId: user._id.toString() }
+        : { error: (info && info.message) || 'Single sign-on failed' });
+    })(req, res, next);
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+};
+
+/**
+ * Walk through the redirects a browser would follow for one login
+ * @returns {Promise<{ userId?: String, error?: String }>}
+ */
+const login = async (appUrl) => {
+  const noFollow = { maxRedirects: 0, validateStatus: status => status < 400 };
+
+  const start = await axios.get(`${appUrl}/login`, noFollow);
+  const cookie = (start.headers['set-cookie'] || []).map(value => value.split(';')[0]).join('; ');
+
+  const authorize = await axios.get(start.headers.location, noFollow);
+
+  const { data } = await axios.get(authorize.headers.location, { headers: { Cookie: cookie } });
+  return data;
+};
+
+const run = async () => {
+  await connectDB();
+
+  const provider = await startMockOidcProvider();
+  const passport = new Passport();
+  let server;
+
+  try {
+    server = await startApp(passport);
+    const appUrl = `http://localhost:${server.address().port}`;
+
+    process.env.OIDC_ISSUER = provider.issuer;
+    process.env.OIDC_CLIENT_ID = provider.clientId;
+    process.env.OIDC_CLIENT_SECRET = provider.clientSecret;
+    process.env.OIDC_REDIRECT_URI = `${appUrl}/callback`;
+    require('../config/passport')(passport);
+
+    // 1. Unknown subject and email: a verified student account is provisioned
+    provider.setClaims({ sub: `new-${runId}`, email: emailFor('new'), email_verified: true, name: 'New Student' });
+    const provisioned = await login(appUrl);
+    assert.ok(provisioned.userId, `provisioning failed: ${provisioned.error}`);
+
+    const newUser = await User.findById(provisioned.userId);
+    assert.strictEqual(newUser.email, emailFor('new'));
+    assert.strictEqual(newUser.oidcSubject, `new-${runId}`);
+    assert.strictEqual(newUser.isVerified, true);
+    assert.strictEqual(newUser.role, 'student');
+    console.log('ok - provisions a new account');
+
+    // 2. Same subject again: the same account, even if the IdP email changed
+    provider.setClaims({ sub: `new-${runId}`, email: emailFor('renamed'), email_verified: true });
+    const again = await login(appUrl);
+    assert.strictEqual(again.userId, provisioned.userId);
+    console.log('ok - logs the same subject into the same account');
+
+    // 3. New account without email_verified from the IdP: provisioned, but not verified
+    provider.setClaims({ sub: `unverified-${runId}`, email: emailFor('unverified'), name: 'Unverified Student' });
+    const provisionedUnverified = await login(appUrl);
+    assert.ok(provisionedUnverified.userId, `provisioning failed: ${provisionedUnverified.error}`);
+    assert.strictEqual((await User.findById(provisionedUnverified.userId)).isVerified, false);
+    console.log('ok - leaves a new account unverified without email_verified');
+
+    // 4. Existing password account, email not verified by the IdP: refused, not linked
+    const existing = await User.create({ name: 'Existing Student', email: emailFor('existing'), password: 'password123' });
+
+    provider.setClaims({ sub: `existing-${runId}`, email: emailFor('existing') });
+    const unverified = await login(appUrl);
+    assert.ok(unverified.error, 'linked an account without a verified email');
+    assert.strictEqual((await User.findById(existing._id)).oidcSubject, undefined);
+    console.log('ok - refuses to link by an unverified email');
+
+    // 5. Same account, verified email: linked to the subject
+    provider.setClaims({ sub: `existing-${runId}`, email: emailFor('existing'), email_verified: true });
+    const linked = await login(appUrl);
+    assert.strictEqual(linked.userId, existing._id.toString());
+    assert.strictEqual((await User.findById(existing._id)).oidcSubject, `existing-${runId}`);
+    console.log('ok - links an existing account by verified email');
+
+    // 6. A different subject claiming an already linked email: refused
+    provider.setClaims({ sub: `other-${runId}`, email: emailFor('existing'), email_verified: true });
+    const conflict = await login(appUrl);
+    assert.ok(conflict.error, 'logged a different subject into a linked account');
+    console.log('ok - refuses an email linked to a different subject');
+
+    console.log('\nAll single sign-on checks passed.');
+  } finally {
+    await User.collection.deleteMany({ email: { $regex: `^oidc-check-${runId}-` } });
+    if (server) {
+      await new Promise(done => {
+        server.close(done);
+        server.closeAllConnections();
+      });
+    }
+    await provider.close();
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('Single sign-on check failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
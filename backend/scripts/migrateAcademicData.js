@@ -0,0 +1,152 @@
+/**
+ * Migrate free-text User.department / User.year values to Department and
+ * ProgramYear references.
+ *
+ * Usage:
+ *   node scripts/migrateAcademicData.js [--mapping mapping.json] [--apply] [--clear-unmapped]
+ *
+ * Without --apply it only reports every distinct legacy value, how many users
+ * have it and what it would be mapped to, so a mapping file can be written.
+ *
+ * Values are matched against codes, names and aliases of the existing records.
+ * The optional mapping file overrides that for specific values (targets are a
+ * code, name or ID):
+ *
+ *   {
+ *     "departments": { "Computer Science": "CSE", "comp sci": "CSE" },
+ *     "programYears": { "1st": "BTECH-1", "PhD": "PHD" }
+ *   }
+ *
+ * --apply refuses to run while values are unmapped unless --clear-unmapped is
+ * given, in which case those users are left without a department / year.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+const { loadAcademicLookups, normalizeLabel } = require('../utils/academicData');
+
+const args = process.argv.slice(2);
+const apply = args.includes('--apply');
+const clearUnmapped = args.includes('--clear-unmapped');
+const mappingIndex = args.indexOf('--mapping');
+const mappingFile = mappingIndex !== -1 ? args[mappingIndex + 1] : null;
+
+/**
+ * Read the mapping file, normalising its keys like the lookups do
+ */
+const loadMapping = () => {
+  if (!mappingFile) return { departments: new Map(), programYears: new Map() };
+
+  const raw = JSON.parse(fs.readFileSync(path.resolve(mappingFile), 'utf8'));
+  const toMap = (entries = {}) =>
+    new Map(Object.entries(entries).map(([from, to]) => [normalizeLabel(from), to]));
+
+  return {
+    departments: toMap(raw.departments),
+    programYears: toMap(raw.programYears)
+  };
+};
+
+/**
+ * Distinct legacy string values of a field with user counts
+ */
+const distinctValues = (field) => {
+  return User.collection.aggregate([
+    { $match: { [field]: { $type: 'string' } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]).toArray();
+};
+
+/**
+ * Work out the target record for every legacy value of a field
+ */
+const planField = async (field, mapping, resolve) => {
+  const values = await distinctValues(field);
+
+  return values.map(({ _id: value, count }) => {
+    if (value.trim() === '') {
+      return { value, count, target: null, empty: true };
+    }
+
+    const mapped = mapping.get(normalizeLabel(value));
+    const target = resolve(mapped !== undefined ? mapped : value);
+
+    return { value, count, target, mappedTarget: mapped };
+  });
+};
+
+const printPlan = (title, plan) => {
+  console.log(`\n${title}`);
+
+  if (plan.length === 0) {
+    console.log('  (no legacy values)');
+    return;
+  }
+
+  plan.forEach(({ value, count, target, empty, mappedTarget }) => {
+    let outcome;
+    if (empty) outcome = 'cleared (empty)';
+    else if (target) outcome = `-> ${target.name} [${target.code}]`;
+    else if (mappedTarget !== undefined) outcome = `UNMAPPED (mapping target "${mappedTarget}" not found)`;
+    else outcome = 'UNMAPPED';
+
+    console.log(`  ${JSON.stringify(value)} (${count} users) ${outcome}`);
+  });
+};
+
+const run = async () => {
+  await connectDB();
+
+  const mapping = loadMapping();
+  const { resolveDepartment, resolveProgramYear } = await loadAcademicLookups({ includeInactive: true });
+
+  const departmentPlan = await planField('department', mapping.departments, resolveDepartment);
+  const yearPlan = await planField('year', mapping.programYears, resolveProgramYear);
+
+  printPlan('Departments', departmentPlan);
+  printPlan('Years', yearPlan);
+
+  const unmapped = [...departmentPlan, ...yearPlan].filter(entry => !entry.empty && !entry.target);
+
+  if (!apply) {
+    console.log(`\nDry run. ${unmapped.length} unmapped value(s). Re-run with --apply to migrate.`);
+    return;
+  }
+
+  if (unmapped.length > 0 && !clearUnmapped) {
+    console.error(`\n${unmapped.length} value(s) are unmapped. Add them to the mapping file or pass --clear-unmapped.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let departmentsUpdated = 0;
+  for (const { value, target } of departmentPlan) {
+    const result = await User.collection.updateMany(
+      { department: value },
+      { $set: { department: target ? target._id : null } }
+    );
+    departmentsUpdated += result.modifiedCount;
+  }
+
+  let yearsUpdated = 0;
+  for (const { value, target } of yearPlan) {
+    const result = await User.collection.updateMany(
+      { year: value },
+      { $set: { programYear: target ? target._id : null }, $unset: { year: '' } }
+    );
+    yearsUpdated += result.modifiedCount;
+  }
+
+  console.log(`\nMigrated department for ${departmentsUpdated} user(s) and year for ${yearsUpdated} user(s).`);
+};
+
+run()
+  .catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,160 @@
+/**
+ * Minimal OpenID Connect provider for trying single sign-on locally.
+ *
+ * Usage:
+ *   node scripts/mockOidcProvider.js
+ *
+ * Then start the API with
+ *   OIDC_ISSUER=http://localhost:4010 OIDC_CLIENT_ID=local-client OIDC_CLIENT_SECRET=local-secret
+ *
+ * Every authorization request is approved immediately for the identity below
+ * (override with MOCK_OIDC_SUB, MOCK_OIDC_EMAIL, MOCK_OIDC_NAME,
+ * MOCK_OIDC_EMAIL_VERIFIED, MOCK_OIDC_DEPARTMENT and MOCK_OIDC_YEAR).
+ *
+ * Also used by scripts/checkOidcLogin.js, which switches identities between
+ * logins with setClaims().
+ */
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const CLIENT_ID = 'local-client';
+const CLIENT_SECRET = 'local-secret';
+
+/**
+ * Start the provider
+ * @param {Object} [options]
+ * @param {Number} [options.port] Port to listen on (0 picks a free one)
+ * @param {Object} [options.claims] Identity returned for every login
+ * @returns {Promise<{ issuer: String, clientId: String, clientSecret: String, setClaims: Function, close: Function }>}
+ */
+const startMockOidcProvider = ({ port = 0, claims = {} } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+
+  // Authorization codes waiting to be exchanged: code -> { claims, nonce, redirectUri }
+  const codes = new Map();
+  // Access tokens issued: token -> claims (for userinfo)
+  const accessTokens = new Map();
+
+  let currentClaims = claims;
+  let issuer;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  // No login page: the configured identity is signed in straight away
+  app.get('/authorize', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, state, nonce } = req.query;
+
+    if (clientId !== CLIENT_ID || !redirectUri) {
+      return res.status(400).send('Unknown client or missing redirect_uri');
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { claims: currentClaims, nonce, redirectUri });
+
+    const params = new URLSearchParams({ code, state });
+    res.redirect(`${redirectUri}?${params.toString()}`);
+  });
+
+  app.post('/token', (req, res) => {
+    const { code, redirect_uri: redirectUri, client_id: clientId, client_secret: clientSecret } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    if (!grant || grant.redirectUri !== redirectUri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    accessTokens.set(accessToken, grant.claims);
+
+    const idToken = jwt.sign(
+      { ...grant.claims, nonce: grant.nonce },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer, audience: CLIENT_ID, expiresIn: '5m' }
+    );
+
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const userinfo = accessTokens.get(token);
+
+    if (!userinfo) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+
+    res.json(userinfo);
+  });
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, () => {
+      issuer = `http://localhost:${server.address().port}`;
+
+      resolve({
+        issuer,
+        clientId: CLIENT_ID,
+        clientSecret: CLIENT_SECRET,
+        setClaims: (nextClaims) => {
+          currentClaims = nextClaims;
+        },
+        close: () => new Promise(done => {
+          server.close(done);
+          server.closeAllConnections();
+        })
+      });
+    });
+
+    server.on('error', reject);
+  });
+};
+
+if (require.main === module) {
+  const claims = {
+    sub: process.env.MOCK_OIDC_SUB || 'mock-student-1',
+    email: process.env.MOCK_OIDC_EMAIL || 'student@example.com',
+    email_verified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false',
+    name: process.env.MOCK_OIDC_NAME || 'Mock Student',
+    department: process.env.MOCK_OIDC_DEPARTMENT || undefined,
+    year: process.env.MOCK_OIDC_YEAR || undefined
+  };
+
+  startMockOidcProvider({ port: parseInt(process.env.MOCK_OIDC_PORT || '4010'), claims })
+    .then(({ issuer, clientId, clientSecret }) => {
+      console.log(`Mock OIDC provider running at ${issuer}`);
+      console.log(`Client ID: ${clientId}, client secret: ${clientSecret}`);
+      console.log(`Signing in as ${claims.email} (sub ${claims.sub})`);
+    })
+    .catch(error => {
+      console.error('Mock OIDC provider failed to start:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  startMockOidcProvider
+};
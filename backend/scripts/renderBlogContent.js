@@ -0,0 +1,54 @@
+/**
+ * Render Blog.content (Markdown) into the stored HTML, excerpt, reading time
+ * and table of contents for blogs saved before rendering was added.
+ *
+ * Usage:
+ *   node scripts/renderBlogContent.js [--all]
+ *
+ * By default only blogs without rendered HTML are processed. --all re-renders
+ * every blog, e.g. after the sanitiser rules have changed. Deleted blogs are
+ * included so they are correct if restored. updatedAt is left untouched.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Blog = require('../models/Blog');
+const { renderMarkdown } = require('../utils/markdown');
+
+const renderAll = process.argv.slice(2).includes('--all');
+
+const run = async () => {
+  await connectDB();
+
+  const query = renderAll ? {} : { $or: [{ contentHtml: { $exists: false } }, { contentHtml: '' }] };
+  const cursor = Blog.find(query).setOptions({ withDeleted: true }).select('content').cursor();
+
+  let rendered = 0;
+  let failed = 0;
+
+  for await (const blog of cursor) {
+    try {
+      const { html, excerpt, readingTime, toc } = renderMarkdown(blog.content);
+
+      await Blog.updateOne(
+        { _id: blog._id },
+        { $set: { contentHtml: html, excerpt, readingTime, toc } },
+        { timestamps: false, withDeleted: true }
+      );
+      rendered += 1;
+    } catch (error) {
+      console.error(`Failed to render blog ${blog._id}:`, error.message);
+      failed += 1;
+    }
+  }
+
+  console.log(`Rendered ${rendered} blog(s)${failed > 0 ? `, ${failed} failed` : ''}.`);
+  if (failed > 0) process.exitCode = 1;
+};
+
+run()
+  .catch(error => {
+    console.error('Rendering failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
@@ -6,6 +7,8 @@ const passport = require('passport');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const connectDB = require('./config/db');
+const { startJobs } = require('./jobs');
+const { getStorage } = require('./utils/storage');
 
 // Initialize Express app
 const app = express();
@@ -32,24 +35,28 @@ app.use(morgan('dev'));
 app.use(passport.initialize());
 require('./config/passport')(passport);
 
-// Socket.io connection handler
-io.on('connection', (socket) => {
-  console.log('New client connected');
-  
-  // Join a room based on userId for targeted notifications
-  socket.on('join', (userId) => {
-    socket.join(userId);
-    console.log(`User ${userId} joined their room`);
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('Client disconnected');
-  });
-});
+// Authenticate socket connections and join users to their rooms
+require('./config/socket')(io);
 
 // Make io accessible to our routes
 app.set('io', io);
 
+// Uploaded files (served from disk or redirected to signed storage URLs).
+// Data exports are private and only downloadable through /api/auth/me/export.
+app.use('/uploads', (req, res, next) => {
+  let filePath;
+  try {
+    filePath = path.posix.normalize(decodeURIComponent(req.path));
+  } catch (error) {
+    return res.status(400).json({ message: 'Invalid path' });
+  }
+
+  if (filePath.startsWith('/exports/')) {
+    return res.status(404).json({ message: 'Not found' });
+  }
+  getStorage().serve(req, res, next);
+});
+
 // Welcome Route
 app.get('/', (req, res) => {
   res.json({ message: 'Welcome to University Platform API' });
@@ -62,6 +69,10 @@ app.use('/api/blogs', require('./routes/blogs'));
 app.use('/api/notifications', require('./routes/notifications'));
 app.use('/api/contests', require('./routes/contests'));
 app.use('/api/payments', require('./routes/payments'));
+app.use('/api/api-keys', require('./routes/apiKeys'));
+app.use('/api/departments', require('./routes/departments'));
+app.use('/api/program-years', require('./routes/programYears'));
+app.use('/api/audit', require('./routes/audit'));
 
 // Custom Error Handler
 app.use((err, req, res, next) => {
@@ -78,6 +89,8 @@ httpServer.listen(PORT, async () => {
   console.log(`Server running on port ${PORT}`);
   // Connect to MongoDB
   await connectDB();
+  // Start background jobs (purges, cleanups)
+  startJobs({ io });
 });
 
 // Handle unhandled promise rejections
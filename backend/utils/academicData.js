@@ -0,0 +1,103 @@
+const Department = require('../models/Department');
+const ProgramYear = require('../models/ProgramYear');
+
+// Resolve free-text department and program/year values ("cse", "Computer Science",
+// "2nd year", "phd") to the admin-managed reference records
+
+const YEAR_VALUES = ['1st', '2nd', '3rd', '4th', '5th'];
+const YEAR_WORDS = { first: 0, second: 1, third: 2, fourth: 3, fifth: 4 };
+
+const normalizeLabel = (value) => String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Normalise a legacy year value ("2", 2, "second", "2nd year") to "2nd", or "phd"
+ * @returns {String|undefined}
+ */
+const normalizeYear = (value) => {
+  const text = normalizeLabel(value);
+
+  if (text.includes('phd')) return 'phd';
+
+  const number = parseInt(text);
+  if (number >= 1 && number <= YEAR_VALUES.length) return YEAR_VALUES[number - 1];
+
+  const word = Object.keys(YEAR_WORDS).find(key => text.startsWith(key));
+  return word ? YEAR_VALUES[YEAR_WORDS[word]] : undefined;
+};
+
+/**
+ * Index records by ID, code, name and aliases
+ */
+const buildIndex = (records) => {
+  const index = new Map();
+
+  records.forEach(record => {
+    [record.code, record.name, ...(record.aliases || [])]
+      .filter(Boolean)
+      .forEach(label => index.set(normalizeLabel(label), record));
+    index.set(record._id.toString(), record);
+  });
+
+  return index;
+};
+
+/**
+ * Load departments and program years once and return resolvers for them.
+ * Use for bulk work (imports, migrations) to avoid a query per value.
+ * @param {Object} [options]
+ * @param {Boolean} [options.includeInactive=false]
+ * @returns {Promise<{ resolveDepartment: Function, resolveProgramYear: Function }>}
+ */
+const loadAcademicLookups = async ({ includeInactive = false } = {}) => {
+  const filter = includeInactive ? {} : { isActive: true };
+  const [departments, programYears] = await Promise.all([
+    Department.find(filter).lean(),
+    ProgramYear.find(filter).lean()
+  ]);
+
+  const departmentIndex = buildIndex(departments);
+  const programYearIndex = buildIndex(programYears);
+
+  return {
+    // @returns {Object|null} Matching department
+    resolveDepartment: (value) => {
+      if (value === undefined || value === null || value === '') return null;
+      return departmentIndex.get(normalizeLabel(value)) || null;
+    },
+
+    // @returns {Object|null} Matching program year (legacy values like "2" fall back to "2nd")
+    resolveProgramYear: (value) => {
+      if (value === undefined || value === null || value === '') return null;
+      const label = normalizeLabel(value);
+      const legacy = normalizeYear(value);
+      return programYearIndex.get(label) || (legacy && programYearIndex.get(legacy)) || null;
+    }
+  };
+};
+
+/**
+ * Check that submitted department / program year IDs point at active records
+ * @param {Object} values { department, programYear } (either may be omitted, null clears it)
+ * @returns {Promise<String[]>} Validation problems (empty when valid)
+ */
+const validateAcademicRefs = async ({ department, programYear }) => {
+  const problems = [];
+
+  if (department) {
+    const exists = await Department.exists({ _id: department, isActive: true });
+    if (!exists) problems.push('Department not found');
+  }
+
+  if (programYear) {
+    const exists = await ProgramYear.exists({ _id: programYear, isActive: true });
+    if (!exists) problems.push('Program/year not found');
+  }
+
+  return problems;
+};
+
+module.exports = {
+  normalizeLabel,
+  loadAcademicLookups,
+  validateAcademicRefs
+};
@@ -0,0 +1,83 @@
+const User = require('../models/User');
+
+/**
+ * Hours a self-demotion request waits for another admin to confirm it
+ */
+const getRevocationConfirmHours = () => parseInt(process.env.ADMIN_REVOCATION_CONFIRM_HOURS || '48');
+
+/**
+ * Date after which a pending self-demotion request can no longer be confirmed
+ * @param {Object} user
+ */
+const getRevocationExpiry = (user) => {
+  if (!user.adminRevocation || !user.adminRevocation.requestedAt) return null;
+
+  return new Date(user.adminRevocation.requestedAt.getTime() + getRevocationConfirmHours() * 60 * 60 * 1000);
+};
+
+/**
+ * Whether the user has a self-demotion request that can still be confirmed
+ * @param {Object} user
+ */
+const hasPendingRevocation = (user) => {
+  const expiresAt = getRevocationExpiry(user);
+  return Boolean(expiresAt) && expiresAt > new Date();
+};
+
+/**
+ * Active admins other than the given user (deleted accounts are excluded by the soft-delete filter)
+ * @param {String} userId
+ */
+const findOtherActiveAdmins = (userId) => {
+  return User.find({ _id: { $ne: userId }, role: 'admin', isActive: true }).select('_id name email');
+};
+
+/**
+ * Whether the user is the only remaining active admin, so demoting,
+ * deactivating or deleting them would leave nobody able to manage the platform
+ * @param {Object} user
+ */
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.isActive) return false;
+
+  const others = await User.countDocuments({ _id: { $ne: user._id }, role: 'admin', isActive: true });
+  return others === 0;
+};
+
+/**
+ * Make a change that stops an admin counting as an active admin (demotion,
+ * deactivation or deletion) without ever leaving the platform with none.
+ *
+ * Checking isLastActiveAdmin before writing isn't enough on its own: two admins
+ * removed at the same moment would each still see the other. So the change is
+ * written first and the remaining active admins counted afterwards; if there
+ * are none the change is undone. Of two concurrent removals, at least one is
+ * undone.
+ *
+ * @param {Object} user User the change applies to (as loaded before the change)
+ * @param {Function} apply Writes the change
+ * @param {Function} undo Reverts it
+ * @returns {Promise<Boolean>} false if the change was undone
+ */
+const removeActiveAdmin = async (user, apply, undo) => {
+  const wasActiveAdmin = user.role === 'admin' && user.isActive;
+
+  await apply();
+
+  if (!wasActiveAdmin) return true;
+
+  const remaining = await User.countDocuments({ role: 'admin', isActive: true });
+  if (remaining > 0) return true;
+
+  await undo();
+  return false;
+};
+
+module.exports = {
+  getRevocationConfirmHours,
+  getRevocationExpiry,
+  hasPendingRevocation,
+  findOtherActiveAdmins,
+  isLastActiveAdmin,
+  removeActiveAdmin
+};
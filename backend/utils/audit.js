@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Convert a value to something stable to store and compare (IDs and dates as strings)
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (value && typeof value.toObject === 'function') return normalizeValue(value.toObject());
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalizeValue(item)]));
+  }
+  return value;
+};
+
+/**
+ * Pick fields from a document for a before/after comparison
+ * @param {Object} doc Mongoose document or plain object
+ * @param {String[]} fields
+ */
+const snapshot = (doc, fields) => {
+  if (!doc) return {};
+
+  return fields.reduce((values, field) => {
+    values[field] = normalizeValue(typeof doc.get === 'function' ? doc.get(field) : doc[field]);
+    return values;
+  }, {});
+};
+
+/**
+ * Fields whose value differs between two snapshots
+ * @returns {Array<{ field: String, before: *, after: * }>}
+ */
+const diff = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  return [...fields]
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+};
+
+/**
+ * Record a privileged action. The actor, API key, IP and user agent come from
+ * the request. Failures are logged rather than thrown so auditing never
+ * breaks the action that was already performed.
+ * @param {Object} req Express request
+ * @param {Object} entry
+ * @param {String} entry.action e.g. 'blog.status_change'
+ * @param {String} entry.targetType Model name, e.g. 'Blog'
+ * @param {Object|String} [entry.target] Target document or ID
+ * @param {String} [entry.targetLabel] Human readable target (title, email...)
+ * @param {Object} [entry.before] Snapshot before the change
+ * @param {Object} [entry.after] Snapshot after the change
+ * @param {Object} [entry.metadata] Extra context (reason, counts...)
+ */
+const recordAudit = async (req, { action, targetType, target, targetLabel = '', before, after, metadata = {} }) => {
+  try {
+    const apiKey = req.authInfo && req.authInfo.apiKey;
+
+    await AuditLog.create({
+      actor: req.user ? req.user._id : null,
+      actorRole: req.user ? req.user.role : '',
+      apiKey: apiKey ? apiKey._id : null,
+      action,
+      targetType,
+      targetId: target ? (target._id || target) : null,
+      targetLabel,
+      changes: diff(before, after),
+      metadata: normalizeValue(metadata),
+      ip: req.ip || '',
+      userAgent: req.get('user-agent') || ''
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error.message);
+  }
+};
+
+module.exports = {
+  snapshot,
+  diff,
+  recordAudit
+};
@@ -0,0 +1,149 @@
+const Blog = require('../models/Blog');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Notification = require('../models/Notification');
+const { roleRoom } = require('../config/socket');
+const { PERMISSIONS, rolesWithPermission } = require('../config/permissions');
+
+/**
+ * Tell moderators that a blog has been submitted (or resubmitted) for review.
+ * A resubmission carries the rejected revision so reviewers can diff against it.
+ * @param {Object} blog Submitted blog
+ * @param {String} senderId User who submitted it
+ * @param {Object} io Socket.io server
+ */
+const notifyModeratorsOfSubmission = async (blog, senderId, io) => {
+  const moderatorRoles = rolesWithPermission(PERMISSIONS.BLOG_MODERATE);
+  const moderators = await User.find({ role: { $in: moderatorRoles } });
+
+  if (moderators.length === 0) {
+    return;
+  }
+
+  const notification = new Notification({
+    title: 'New Blog Submission',
+    message: `A new blog "${blog.title}" has been submitted for approval.`,
+    sender: senderId,
+    recipients: 'specific',
+    targetUsers: moderators.map(moderator => moderator._id),
+    urgencyLevel: 'info',
+    relatedTo: 'blog',
+    relatedId: blog._id,
+    notificationType: 'Blog'
+  });
+
+  await notification.save();
+
+  // Send real-time notification to the moderator rooms via Socket.io
+  io.to(moderatorRoles.map(roleRoom)).emit('notification', {
+    type: 'NEW_BLOG',
+    message: `New blog "${blog.title}" submitted for approval`,
+    data: { ...notification.toObject(), rejectedRevision: blog.rejectedRevision || null }
+  });
+};
+
+/**
+ * Tell the author's followers about a newly published blog
+ * @param {Object} blog Published blog
+ * @param {Object} io Socket.io server
+ */
+const notifyFollowers = async (blog, io) => {
+  const followers = await Follow.find({ following: blog.author }).distinct('follower');
+
+  if (followers.length === 0) {
+    return;
+  }
+
+  const author = await User.findById(blog.author).select('name');
+  const authorName = author ? author.name : 'An author you follow';
+
+  const notification = new Notification({
+    title: 'New Blog Post',
+    message: `${authorName} published a new blog "${blog.title}".`,
+    sender: blog.author,
+    recipients: 'specific',
+    targetUsers: followers,
+    urgencyLevel: 'info',
+    relatedTo: 'blog',
+    relatedId: blog._id,
+    notificationType: 'Blog'
+  });
+
+  await notification.save();
+
+  // Send real-time notification to each follower
+  io.to(followers.map(follower => follower.toString())).emit('notification', {
+    type: 'FOLLOWED_AUTHOR_BLOG',
+    message: `${authorName} published "${blog.title}"`,
+    data: notification
+  });
+};
+
+/**
+ * Mark an approved blog as live and announce it to the author's followers.
+ * Followers only hear about a blog the first time it is published.
+ * @param {Object} blog Approved blog whose publish time has come
+ * @param {Object} io Socket.io server
+ * @returns {Promise<Boolean>} Whether the blog was published now
+ */
+const publishBlog = async (blog, io) => {
+  if (blog.publishedAt) {
+    return false;
+  }
+
+  blog.publishedAt = blog.publishAt || new Date();
+  await blog.save();
+
+  await notifyFollowers(blog, io);
+
+  return true;
+};
+
+/**
+ * Publish approved blogs whose scheduled time has passed and let their authors know
+ * @param {Object} io Socket.io server
+ * @returns {Promise<Number>} Number of blogs published
+ */
+const publishScheduledBlogs = async (io) => {
+  const blogs = await Blog.find({
+    status: 'approved',
+    publishedAt: null,
+    publishAt: { $ne: null, $lte: new Date() }
+  });
+
+  for (const blog of blogs) {
+    try {
+      await publishBlog(blog, io);
+
+      const notification = new Notification({
+        title: 'Blog Published',
+        message: `Your scheduled blog "${blog.title}" is now live.`,
+        sender: blog.author,
+        recipients: 'specific',
+        targetUsers: [blog.author],
+        urgencyLevel: 'info',
+        relatedTo: 'blog',
+        relatedId: blog._id,
+        notificationType: 'Blog'
+      });
+
+      await notification.save();
+
+      io.to(blog.author.toString()).emit('notification', {
+        type: 'BLOG_PUBLISHED',
+        message: `Your blog "${blog.title}" is now live`,
+        data: notification
+      });
+    } catch (error) {
+      console.error(`Failed to publish blog ${blog._id}:`, error.message);
+    }
+  }
+
+  return blogs.length;
+};
+
+module.exports = {
+  notifyModeratorsOfSubmission,
+  publishBlog,
+  publishScheduledBlogs
+};
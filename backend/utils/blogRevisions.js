@@ -0,0 +1,103 @@
+const { diffWords, diffLines, createTwoFilesPatch } = require('diff');
+const BlogRevision = require('../models/BlogRevision');
+
+// Attempts to claim the next revision number when concurrent edits collide
+const MAX_NUMBER_ATTEMPTS = 5;
+
+/**
+ * Save the blog's current title, content and tags under a revision number
+ */
+const createRevision = (blog, editorId, number, { restoredFrom = null, createdAt } = {}) => {
+  return BlogRevision.create({
+    blog: blog._id,
+    number,
+    title: blog.title,
+    content: blog.content,
+    tags: blog.tags,
+    status: blog.status,
+    editor: editorId,
+    restoredFrom,
+    ...(createdAt && { createdAt })
+  });
+};
+
+/**
+ * Number of a blog's latest revision (0 when it has none)
+ * @param {String} blogId
+ */
+const getLatestRevisionNumber = async (blogId) => {
+  const latest = await BlogRevision.findOne({ blog: blogId }).sort({ number: -1 }).select('number');
+  return latest ? latest.number : 0;
+};
+
+/**
+ * Store the blog's current title, content and tags as a new revision.
+ * Two edits saved at the same moment can pick the same number; the unique
+ * index rejects the second, which then retries with the next one.
+ * @param {Object} blog Blog document (after it has been saved)
+ * @param {String} editorId User who made the change
+ * @param {Object} [options]
+ * @param {Number} [options.restoredFrom] Revision number being restored
+ */
+const recordRevision = async (blog, editorId, { restoredFrom = null } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    const number = await getLatestRevisionNumber(blog._id) + 1;
+
+    try {
+      return await createRevision(blog, editorId, number, { restoredFrom });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_NUMBER_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Blogs written before revisions were tracked have none. Store their current
+ * state (credited to the author) before the first edit so it can be diffed against.
+ * @param {Object} blog Blog document, before any changes are applied
+ */
+const ensureBaselineRevision = async (blog) => {
+  if (await BlogRevision.exists({ blog: blog._id })) {
+    return;
+  }
+
+  try {
+    await createRevision(blog, blog.author, 1, { createdAt: blog.updatedAt });
+  } catch (error) {
+    // A concurrent edit already stored the baseline
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Compare two revisions
+ * @param {Object} from Older revision
+ * @param {Object} to Newer revision
+ * @returns {Object} Word diff of the title, line diff and unified patch of the content, tag changes
+ */
+const diffRevisions = (from, to) => {
+  const fromTags = from.tags || [];
+  const toTags = to.tags || [];
+
+  return {
+    title: diffWords(from.title, to.title),
+    content: diffLines(from.content, to.content),
+    patch: createTwoFilesPatch(
+      `revision-${from.number}`,
+      `revision-${to.number}`,
+      from.content,
+      to.content
+    ),
+    tags: {
+      added: toTags.filter(tag => !fromTags.includes(tag)),
+      removed: fromTags.filter(tag => !toTags.includes(tag))
+    }
+  };
+};
+
+module.exports = {
+  getLatestRevisionNumber,
+  recordRevision,
+  ensureBaselineRevision,
+  diffRevisions
+};
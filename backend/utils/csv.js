@@ -0,0 +1,45 @@
+/**
+ * Escape a single CSV value (RFC 4180). Values that spreadsheet apps would run
+ * as formulas are prefixed with a quote to prevent CSV injection.
+ */
+const escapeValue = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Convert rows to CSV text
+ * @param {Object[]} rows
+ * @param {Array<{ header: String, value: Function|String }>} columns
+ *   value is a property name or a function (row) => value
+ * @returns {String}
+ */
+const toCsv = (rows, columns) => {
+  const header = columns.map(column => escapeValue(column.header)).join(',');
+
+  const lines = rows.map(row =>
+    columns
+      .map(column => {
+        const value = typeof column.value === 'function' ? column.value(row) : row[column.value];
+        return escapeValue(value);
+      })
+      .join(',')
+  );
+
+  return [header, ...lines].join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  toCsv
+};
@@ -0,0 +1,333 @@
+const archiver = require('archiver');
+const User = require('../models/User');
+const Blog = require('../models/Blog');
+const Contest = require('../models/Contest');
+const Payment = require('../models/Payment');
+const Notification = require('../models/Notification');
+const DataExport = require('../models/DataExport');
+const Follow = require('../models/Follow');
+const sendEmail = require('./sendEmail');
+const { getStorage, generateKey, removeStoredFile } = require('./storage');
+
+// Fields that are credentials or internal bookkeeping, never included in an export
+const PRIVATE_USER_FIELDS = [
+  '-password',
+  '-resetPasswordToken',
+  '-resetPasswordExpire',
+  '-tokenVersion',
+  '-twoFactor.secret',
+  '-twoFactor.recoveryCodes',
+  '-twoFactor.lastUsedStep',
+  '-avatarKey',
+  '-__v'
+].join(' ');
+
+/**
+ * Number of records an export for this user would contain (used to decide
+ * whether to build it inline or in the background)
+ */
+const countUserRecords = async (userId) => {
+  const counts = await Promise.all([
+    Blog.countDocuments({ author: userId }),
+    Blog.countDocuments({ 'comments.user': userId }),
+    Contest.countDocuments({ 'participants.user': userId }),
+    Payment.countDocuments({ user: userId }),
+    Notification.countDocuments({ targetUsers: userId }),
+    Follow.countDocuments({ follower: userId })
+  ]);
+
+  return counts.reduce((sum, count) => sum + count, 0);
+};
+
+/**
+ * Collect everything the platform holds about a user
+ * @param {String} userId
+ * @returns {Promise<Object>}
+ */
+const buildUserExport = async (userId) => {
+  const profile = await User.findById(userId)
+    .select(PRIVATE_USER_FIELDS)
+    .populate('department', 'name code')
+    .populate('programYear', 'name program yearOfStudy')
+    .lean();
+
+  const blogs = await Blog.find({ author: userId })
+    .select('-comments -__v')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  // Comments the user wrote on other people's blogs
+  const commentedBlogs = await Blog.find({ 'comments.user': userId, author: { $ne: userId } })
+    .select('title comments')
+    .lean();
+
+  const comments = commentedBlogs.flatMap(blog =>
+    blog.comments
+      .filter(comment => comment.user && comment.user.toString() === userId.toString())
+      .map(comment => ({
+        blog: { id: blog._id, title: blog.title },
+        text: comment.text,
+        date: comment.date
+      }))
+  );
+
+  const contests = await Contest.find({ 'participants.user': userId })
+    .select('title category startDate endDate location participants')
+    .sort({ startDate: -1 })
+    .lean();
+
+  // Only the user's own registration, not other participants
+  const contestRegistrations = contests.map(contest => {
+    const participant = contest.participants.find(p => p.user.toString() === userId.toString());
+    return {
+      contest: {
+        id: contest._id,
+        title: contest.title,
+        category: contest.category,
+        startDate: contest.startDate,
+        endDate: contest.endDate,
+        location: contest.location
+      },
+      registeredAt: participant.registeredAt,
+      paymentStatus: participant.paymentStatus
+    };
+  });
+
+  const payments = await Payment.find({ user: userId })
+    .select('-razorpaySignature -__v')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const follows = await Follow.find({ follower: userId })
+    .populate('following', 'name')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const notifications = await Notification.find({ targetUsers: userId })
+    .populate('sender', 'name')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    blogs,
+    comments,
+    contestRegistrations,
+    payments,
+    // Deleted accounts the user followed are left out
+    following: follows
+      .filter(follow => follow.following)
+      .map(follow => ({
+        user: { id: follow.following._id, name: follow.following.name },
+        followedAt: follow.createdAt
+      })),
+    notifications: notifications.map(notification => ({
+      title: notification.title,
+      message: notification.message,
+      sender: notification.sender ? notification.sender.name : null,
+      urgencyLevel: notification.urgencyLevel,
+      relatedTo: notification.relatedTo,
+      read: !!(notification.isRead && notification.isRead[userId.toString()]),
+      createdAt: notification.createdAt
+    }))
+  };
+};
+
+/**
+ * Package an export as a ZIP archive with one JSON file per section
+ * @param {Object} data Result of buildUserExport
+ * @returns {Promise<Buffer>}
+ */
+const createExportArchive = (data) => {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const chunks = [];
+
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('error', reject);
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+
+    archive.append(
+      `Personal data export generated on ${data.exportedAt}.\n` +
+      'Each file contains one section of the data the University Platform holds about you.\n',
+      { name: 'README.txt' }
+    );
+
+    ['profile', 'blogs', 'comments', 'contestRegistrations', 'payments', 'following', 'notifications'].forEach(section => {
+      archive.append(JSON.stringify(data[section], null, 2), { name: `${section}.json` });
+    });
+
+    archive.finalize();
+  });
+};
+
+/**
+ * Render an export in the requested format
+ * @param {Object} data Result of buildUserExport
+ * @param {String} format 'json' or 'zip'
+ * @returns {Promise<{ buffer: Buffer, contentType: String, extension: String }>}
+ */
+const renderExport = async (data, format) => {
+  if (format === 'zip') {
+    return {
+      buffer: await createExportArchive(data),
+      contentType: 'application/zip',
+      extension: 'zip'
+    };
+  }
+
+  return {
+    buffer: Buffer.from(JSON.stringify(data, null, 2)),
+    contentType: 'application/json',
+    extension: 'json'
+  };
+};
+
+/**
+ * Queued exports not finished by this time are treated as lost (e.g. the
+ * server restarted while generating them)
+ */
+const getStaleExportCutoff = () => {
+  const minutes = parseInt(process.env.EXPORT_STALE_MINUTES || '30');
+  return new Date(Date.now() - minutes * 60 * 1000);
+};
+
+/**
+ * Tell the user whether their queued export succeeded
+ */
+const notifyExportResult = async (dataExport, user, io) => {
+  const ready = dataExport.status === 'ready';
+
+  // Notify the user
+  const notification = new Notification({
+    title: ready ? 'Your Data Export Is Ready' : 'Data Export Failed',
+    message: ready
+      ? 'The copy of your data you requested is ready to download.'
+      : 'We could not generate your data export. Please try again later.',
+    sender: user._id,
+    recipients: 'specific',
+    targetUsers: [user._id],
+    urgencyLevel: 'info',
+    relatedTo: 'account'
+  });
+
+  await notification.save();
+
+  // Send real-time notification
+  if (io) {
+    io.to(user._id.toString()).emit('notification', {
+      type: ready ? 'DATA_EXPORT_READY' : 'DATA_EXPORT_FAILED',
+      message: notification.message,
+      data: { ...notification.toObject(), exportId: dataExport._id }
+    });
+  }
+};
+
+/**
+ * Generate a queued export in the background, store it under the private
+ * exports/ prefix and let the user know it's ready to download
+ * @param {String} exportId DataExport document ID
+ * @param {Object} io Socket.io server
+ */
+const processDataExport = async (exportId, io) => {
+  const dataExport = await DataExport.findById(exportId).populate('user', 'name email');
+  if (!dataExport || dataExport.status !== 'pending') return;
+
+  const user = dataExport.user;
+
+  try {
+    dataExport.status = 'processing';
+    await dataExport.save();
+
+    const data = await buildUserExport(user._id);
+    const { buffer, contentType, extension } = await renderExport(data, dataExport.format);
+
+    const key = generateKey('exports', extension);
+    await getStorage().put(key, buffer, contentType);
+
+    const retentionHours = parseInt(process.env.EXPORT_RETENTION_HOURS || '48');
+
+    dataExport.status = 'ready';
+    dataExport.fileKey = key;
+    dataExport.fileSize = buffer.length;
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + retentionHours * 60 * 60 * 1000);
+    await dataExport.save();
+  } catch (error) {
+    console.error('Data export error:', error.message);
+    dataExport.status = 'failed';
+    dataExport.error = error.message;
+    await dataExport.save();
+  }
+
+  await notifyExportResult(dataExport, user, io);
+
+  if (dataExport.status === 'ready') {
+    try {
+      const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+      await sendEmail({
+        to: user.email,
+        subject: 'Your data export is ready',
+        text: `Hi ${user.name},\n\n` +
+          'The copy of your data you requested is ready. Sign in and download it from your account settings:\n\n' +
+          `${clientUrl}/settings/data-export/${dataExport._id}\n\n` +
+          `The file will be deleted on ${dataExport.expiresAt.toUTCString()}.`
+      });
+    } catch (mailError) {
+      console.error('Data export email error:', mailError.message);
+    }
+  }
+};
+
+/**
+ * Delete expired export files
+ * @param {String} [userId] Only clean up this user's exports
+ */
+const removeExpiredExports = async (userId) => {
+  const query = { expiresAt: { $lte: new Date() } };
+  if (userId) query.user = userId;
+
+  const expired = await DataExport.find(query);
+
+  for (const dataExport of expired) {
+    await removeStoredFile(dataExport.fileKey);
+    await dataExport.deleteOne();
+  }
+};
+
+/**
+ * Fail queued exports that stopped making progress, so the user can request
+ * a new one instead of waiting forever
+ * @param {Object} [io] Socket.io server
+ * @returns {Number} Number of exports failed
+ */
+const failStaleExports = async (io) => {
+  const stale = await DataExport.find({
+    status: { $in: ['pending', 'processing'] },
+    updatedAt: { $lte: getStaleExportCutoff() }
+  }).populate('user', 'name email');
+
+  for (const dataExport of stale) {
+    dataExport.status = 'failed';
+    dataExport.error = 'Export timed out';
+    await dataExport.save();
+
+    if (dataExport.user) {
+      await notifyExportResult(dataExport, dataExport.user, io);
+    }
+  }
+
+  return stale.length;
+};
+
+module.exports = {
+  countUserRecords,
+  buildUserExport,
+  createExportArchive,
+  renderExport,
+  getStaleExportCutoff,
+  processDataExport,
+  failStaleExports,
+  removeExpiredExports
+};
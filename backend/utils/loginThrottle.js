@@ -0,0 +1,117 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+const MINUTE = 60 * 1000;
+
+// Throttle settings (all configurable through the environment)
+const settings = () => ({
+  maxAttemptsPerEmail: parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5'),
+  maxAttemptsPerIp: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP || '20'),
+  lockoutMs: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15') * MINUTE,
+  windowMs: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || '60') * MINUTE,
+  delayBaseMs: parseInt(process.env.LOGIN_DELAY_BASE_SECONDS || '1') * 1000,
+  delayMaxMs: parseInt(process.env.LOGIN_DELAY_MAX_SECONDS || '60') * 1000
+});
+
+const emailKey = (email) => `email:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+/**
+ * Delay required before the next attempt after `failures` consecutive failures.
+ * Doubles with each failure: 1s, 2s, 4s, ... capped at LOGIN_DELAY_MAX_SECONDS.
+ */
+const progressiveDelay = (failures) => {
+  const { delayBaseMs, delayMaxMs } = settings();
+  if (failures <= 0) return 0;
+  return Math.min(delayBaseMs * Math.pow(2, failures - 1), delayMaxMs);
+};
+
+/**
+ * Check whether any of the given keys is locked out or still inside its delay
+ * @param {String[]} keys
+ * @returns {Promise<{ blocked: Boolean, locked: Boolean, retryAfter: Number }>} retryAfter in seconds
+ */
+const getThrottleStatus = async (keys) => {
+  const now = Date.now();
+  const records = await LoginAttempt.find({ key: { $in: keys } });
+
+  let waitMs = 0;
+  let locked = false;
+
+  records.forEach(record => {
+    if (record.isLocked()) {
+      locked = true;
+      waitMs = Math.max(waitMs, record.lockedUntil.getTime() - now);
+    } else if (record.lastFailureAt) {
+      const nextAllowed = record.lastFailureAt.getTime() + progressiveDelay(record.failures);
+      waitMs = Math.max(waitMs, nextAllowed - now);
+    }
+  });
+
+  return {
+    blocked: waitMs > 0,
+    locked,
+    retryAfter: Math.ceil(Math.max(waitMs, 0) / 1000)
+  };
+};
+
+/**
+ * Record a failed attempt for a key, locking it once it reaches maxAttempts
+ * @returns {Promise<{ record: Object, lockedNow: Boolean }>}
+ */
+const recordFailure = async (key, maxAttempts) => {
+  const { lockoutMs, windowMs } = settings();
+  const now = new Date();
+
+  const record = await LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + windowMs) }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (record.failures < maxAttempts) {
+    return { record, lockedNow: false };
+  }
+
+  // Lock the key and start a fresh count once the lockout ends
+  record.lockedUntil = new Date(now.getTime() + lockoutMs);
+  record.failures = 0;
+  record.lastFailureAt = null;
+  record.expiresAt = new Date(record.lockedUntil.getTime() + windowMs);
+  await record.save();
+
+  return { record, lockedNow: true };
+};
+
+/**
+ * Record a failed login for both the email and the client IP
+ * @returns {Promise<{ emailLocked: Boolean, ipLocked: Boolean }>} whether either was locked by this attempt
+ */
+const recordLoginFailure = async (email, ip) => {
+  const { maxAttemptsPerEmail, maxAttemptsPerIp } = settings();
+
+  const emailResult = await recordFailure(emailKey(email), maxAttemptsPerEmail);
+  const ipResult = await recordFailure(ipKey(ip), maxAttemptsPerIp);
+
+  return {
+    emailLocked: emailResult.lockedNow,
+    ipLocked: ipResult.lockedNow
+  };
+};
+
+/**
+ * Clear failure tracking for an email (after a successful login or an admin unlock)
+ */
+const clearLoginFailures = async (email) => {
+  await LoginAttempt.deleteOne({ key: emailKey(email) });
+};
+
+module.exports = {
+  emailKey,
+  ipKey,
+  getThrottleStatus,
+  recordLoginFailure,
+  clearLoginFailures
+};
@@ -0,0 +1,127 @@
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+
+// Average adult reading speed used for the reading time estimate
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 200;
+
+// Raw HTML is allowed in the source (older posts were written as HTML);
+// everything is sanitised after rendering, so that is safe
+const md = new MarkdownIt({ html: true, linkify: true });
+
+// What rendered blog HTML may contain. Anything else (scripts, iframes, styles,
+// event handler attributes, javascript:/data: URLs...) is stripped.
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img', 'del'],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    th: ['style'],
+    td: ['style'],
+    h1: ['id'],
+    h2: ['id'],
+    h3: ['id'],
+    h4: ['id'],
+    h5: ['id'],
+    h6: ['id']
+  },
+  // Fenced code blocks carry their language for client-side highlighting
+  allowedClasses: {
+    code: ['language-*']
+  },
+  // Table column alignment
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] }
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer' })
+  }
+};
+
+/**
+ * URL fragment for a heading, e.g. "Getting Started!" -> "getting-started"
+ */
+const slugify = (text) => {
+  return text
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '') || 'section';
+};
+
+/**
+ * Plain text of rendered HTML, without code blocks, whitespace collapsed
+ */
+const toPlainText = (html) => {
+  return sanitizeHtml(html, {
+    allowedTags: [],
+    allowedAttributes: {},
+    nonTextTags: ['script', 'style', 'textarea', 'option', 'pre']
+  })
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Shorten text to a length, cutting at a word boundary
+ */
+const truncate = (text, length) => {
+  if (text.length <= length) return text;
+
+  const cut = text.slice(0, length);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > length / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+};
+
+/**
+ * Render Markdown to sanitised HTML and derive the fields shown with a blog
+ * @param {String} source Markdown (may contain inline HTML)
+ * @returns {{ html: String, excerpt: String, readingTime: Number, toc: Array<{ level: Number, text: String, id: String }> }}
+ */
+const renderMarkdown = (source) => {
+  const tokens = md.parse(source || '', {});
+  const toc = [];
+  const usedIds = new Map();
+
+  // Give every heading a unique id so the table of contents can link to it
+  tokens.forEach((token, index) => {
+    if (token.type !== 'heading_open') return;
+
+    const inline = tokens[index + 1];
+    const text = inline.children
+      .filter(child => child.type === 'text' || child.type === 'code_inline')
+      .map(child => child.content)
+      .join('')
+      .trim();
+
+    const base = slugify(text);
+    const seen = usedIds.get(base) || 0;
+    usedIds.set(base, seen + 1);
+    const id = seen === 0 ? base : `${base}-${seen}`;
+
+    token.attrSet('id', id);
+    toc.push({ level: Number(token.tag.slice(1)), text, id });
+  });
+
+  const html = sanitizeHtml(md.renderer.render(tokens, md.options, {}), SANITIZE_OPTIONS);
+  const text = toPlainText(html);
+  const words = text ? text.split(' ').length : 0;
+
+  return {
+    html,
+    excerpt: truncate(text, EXCERPT_LENGTH),
+    readingTime: Math.max(1, Math.ceil(words / WORDS_PER_MINUTE)),
+    toc
+  };
+};
+
+module.exports = {
+  renderMarkdown
+};
@@ -0,0 +1,26 @@
+// Mentions are written as @[Display Name](userId), the markup produced by the client's mention picker
+const MENTION_PATTERN = /@\[([^\]\n]+)\]\(([a-f0-9]{24})\)/gi;
+
+// Upper limit so a single comment can't notify half the platform
+const MAX_MENTIONS = 10;
+
+/**
+ * IDs of the users mentioned in a text (unique, in order of appearance)
+ * @param {String} text
+ * @returns {String[]}
+ */
+const extractMentionIds = (text) => {
+  const ids = new Set();
+
+  for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+    ids.add(match[2].toLowerCase());
+    if (ids.size === MAX_MENTIONS) break;
+  }
+
+  return [...ids];
+};
+
+module.exports = {
+  MAX_MENTIONS,
+  extractMentionIds
+};
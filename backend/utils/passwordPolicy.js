@@ -0,0 +1,58 @@
+const { check } = require('express-validator');
+
+// Password policy (all configurable through the environment)
+const getPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '6'),
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE === 'true',
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE === 'true',
+  requireNumber: process.env.PASSWORD_REQUIRE_NUMBER === 'true',
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true'
+});
+
+/**
+ * Check a password against the policy
+ * @param {String} password
+ * @returns {String[]} List of unmet requirements (empty when valid)
+ */
+const validatePassword = (password) => {
+  const policy = getPolicy();
+  const problems = [];
+  const value = typeof password === 'string' ? password : '';
+
+  if (value.length < policy.minLength) {
+    problems.push(`at least ${policy.minLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    problems.push('an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    problems.push('a lowercase letter');
+  }
+  if (policy.requireNumber && !/[0-9]/.test(value)) {
+    problems.push('a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    problems.push('a symbol');
+  }
+
+  return problems;
+};
+
+/**
+ * express-validator chain enforcing the password policy on a body field
+ * @param {String} [field='password']
+ */
+const passwordPolicyCheck = (field = 'password') =>
+  check(field).custom((value) => {
+    const problems = validatePassword(value);
+    if (problems.length > 0) {
+      throw new Error(`Password must contain ${problems.join(', ')}`);
+    }
+    return true;
+  });
+
+module.exports = {
+  getPolicy,
+  validatePassword,
+  passwordPolicyCheck
+};
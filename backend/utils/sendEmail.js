@@ -0,0 +1,78 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+/**
+ * Build the nodemailer transport from environment configuration.
+ *
+ * MAIL_TRANSPORT can be:
+ *  - smtp   : real delivery through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ *  - json   : messages are serialised to JSON and logged (development / tests)
+ *  - stream : messages are built as raw RFC822 streams and logged
+ *
+ * When MAIL_TRANSPORT is not set, smtp is used if SMTP_HOST is configured,
+ * otherwise the json transport.
+ */
+const createTransporter = () => {
+  const type = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'json');
+
+  switch (type) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    case 'stream':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case 'json':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${type}"`);
+  }
+};
+
+/**
+ * Get the shared transport (created lazily)
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = createTransporter();
+  }
+  return transporter;
+};
+
+/**
+ * Send an email
+ * @param {Object} options
+ * @param {String} options.to Recipient address
+ * @param {String} options.subject Subject line
+ * @param {String} options.text Plain text body
+ * @param {String} [options.html] Optional HTML body
+ */
+const sendEmail = async ({ to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || 'University Platform <no-reply@university-platform.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  // Local transports don't deliver anything, so log the message for developers
+  if (info.message && process.env.NODE_ENV !== 'test') {
+    console.log(`Email to ${to} (${subject}):\n${info.message.toString()}`);
+  }
+
+  return info;
+};
+
+// Allow tests to swap the transport (e.g. to capture sent messages)
+sendEmail.setTransporter = (customTransporter) => {
+  transporter = customTransporter;
+};
+
+module.exports = sendEmail;
@@ -0,0 +1,51 @@
+/**
+ * Mongoose plugin for soft deletion.
+ *
+ * Adds a `deletedAt` marker and hides marked documents from find, count and
+ * aggregate queries. A query sees deleted documents when it filters on
+ * `deletedAt` itself (e.g. `{ deletedAt: { $ne: null } }`) or opts in with
+ * `.setOptions({ withDeleted: true })` (also usable as populate options).
+ */
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'updateOne',
+  'updateMany'
+];
+
+module.exports = function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: schema.constructor.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(QUERY_HOOKS, function() {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+
+    const [firstStage] = this.pipeline();
+    if (firstStage && firstStage.$match && 'deletedAt' in firstStage.$match) return;
+
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  // Check if document has been soft deleted
+  schema.methods.isDeleted = function() {
+    return !!this.deletedAt;
+  };
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const path = require('path');
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+
+let storage = null;
+
+/**
+ * Get the configured storage driver (STORAGE_DRIVER=local|s3, default local).
+ *
+ * Every driver implements:
+ *  - put(key, buffer, contentType)
+ *  - get(key) -> Buffer
+ *  - remove(key)
+ *  - getUrl(key)          stable URL saved on documents
+ *  - getSignedUrl(key)    short-lived direct URL
+ *  - serve(req, res, next) handler behind GET /uploads/*
+ */
+const getStorage = () => {
+  if (storage) return storage;
+
+  const options = {
+    uploadDir: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'),
+    publicUrl: (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '')
+  };
+
+  switch (process.env.STORAGE_DRIVER || 'local') {
+    case 'local':
+      storage = createLocalStorage(options);
+      break;
+    case 's3':
+      storage = createS3Storage(options);
+      break;
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${process.env.STORAGE_DRIVER}"`);
+  }
+
+  return storage;
+};
+
+/**
+ * Build a unique key for a new file, e.g. "avatars/5f1c...-3b9a.png"
+ * @param {String} folder
+ * @param {String} extension Without the dot
+ */
+const generateKey = (folder, extension) => {
+  return `${folder}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}.${extension}`;
+};
+
+/**
+ * Save an uploaded file (from middleware/upload) under a new key
+ * @param {String} folder e.g. 'avatars'
+ * @param {Object} file Multer file with buffer, mimetype and extension
+ * @returns {Promise<{ key: String, url: String }>}
+ */
+const storeUpload = async (folder, file) => {
+  const storage = getStorage();
+  const key = generateKey(folder, file.extension);
+
+  await storage.put(key, file.buffer, file.mimetype);
+
+  return {
+    key,
+    url: storage.getUrl(key)
+  };
+};
+
+/**
+ * Remove a stored file, logging instead of failing the request if it can't be deleted
+ * @param {String} key
+ */
+const removeStoredFile = async (key) => {
+  if (!key) return;
+
+  try {
+    await getStorage().remove(key);
+  } catch (error) {
+    console.error(`Failed to remove stored file ${key}:`, error.message);
+  }
+};
+
+module.exports = {
+  getStorage,
+  generateKey,
+  storeUpload,
+  removeStoredFile
+};
@@ -0,0 +1,63 @@
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+/**
+ * Local disk storage driver.
+ * Files live under UPLOAD_DIR and are served by the /uploads route.
+ */
+const createLocalStorage = ({ uploadDir, publicUrl }) => {
+  const root = path.resolve(uploadDir);
+
+  // Resolve a key inside the upload dir, refusing anything that escapes it
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  const staticHandler = express.static(root, {
+    dotfiles: 'deny',
+    index: false,
+    maxAge: '7d'
+  });
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    async get(key) {
+      return fs.readFile(resolveKey(key));
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    getUrl(key) {
+      return `${publicUrl}/uploads/${key}`;
+    },
+
+    // Local files don't need signing; the stable URL is served directly
+    async getSignedUrl(key) {
+      return this.getUrl(key);
+    },
+
+    serve(req, res, next) {
+      staticHandler(req, res, next);
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,84 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, Cloudflare R2, ...).
+ * Objects are private; /uploads/<key> redirects to a short-lived signed URL
+ * unless S3_PUBLIC_URL points at a public bucket/CDN.
+ */
+const createS3Storage = ({ publicUrl }) => {
+  const bucket = process.env.S3_BUCKET;
+  const signedUrlExpiry = parseInt(process.env.S3_SIGNED_URL_EXPIRE_SECONDS || '3600');
+
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set when STORAGE_DRIVER=s3');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+      : undefined
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+    },
+
+    async get(key) {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    getUrl(key) {
+      if (process.env.S3_PUBLIC_URL) {
+        return `${process.env.S3_PUBLIC_URL.replace(/\/$/, '')}/${key}`;
+      }
+      return `${publicUrl}/uploads/${key}`;
+    },
+
+    async getSignedUrl(key) {
+      return getSignedUrl(
+        client,
+        new GetObjectCommand({ Bucket: bucket, Key: key }),
+        { expiresIn: signedUrlExpiry }
+      );
+    },
+
+    async serve(req, res, next) {
+      try {
+        const key = decodeURIComponent(req.path.replace(/^\//, ''));
+        if (!key || key.includes('..')) {
+          return res.status(404).json({ message: 'File not found' });
+        }
+        res.redirect(await this.getSignedUrl(key));
+      } catch (error) {
+        next(error);
+      }
+    }
+  };
+};
+
+module.exports = createS3Storage;
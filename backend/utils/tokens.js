@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { disconnectUserSockets } = require('../config/socket');
+
+const jwtSecret = () => process.env.JWT_SECRET || 'your_jwt_secret';
+
+/**
+ * Hash a refresh token for storage/lookup
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a short-lived access token.
+ * The token carries the role and tokenVersion it was issued for so the JWT
+ * strategy can reject it once either changes.
+ */
+const generateAccessToken = (user) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      role: user.role,
+      tv: user.tokenVersion || 0
+    },
+    jwtSecret(),
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m' }
+  );
+};
+
+/**
+ * Sign a short-lived, purpose-bound token for a pending login step
+ * (e.g. '2fa-login', '2fa-setup'). These are never accepted as access tokens.
+ */
+const generateChallengeToken = (user, purpose, expiresIn = '5m') => {
+  return jwt.sign(
+    {
+      id: user.id,
+      purpose,
+      tv: user.tokenVersion || 0
+    },
+    jwtSecret(),
+    { expiresIn }
+  );
+};
+
+/**
+ * Create and store a refresh token for the user
+ * @param {Object} user User document
+ * @param {Object} req Express request (for IP / user agent)
+ * @param {String} [family] Existing token family when rotating
+ * @returns {Promise<String>} The plain refresh token (never stored)
+ */
+const createRefreshToken = async (user, req, family) => {
+  const token = crypto.randomBytes(40).toString('hex');
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS || '30');
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return token;
+};
+
+/**
+ * Issue an access/refresh token pair and send it with the public user fields
+ * @param {Object} [extra] Additional fields to include in the response body
+ */
+const sendTokenResponse = async (user, statusCode, req, res, extra = {}) => {
+  const token = generateAccessToken(user);
+  const refreshToken = await createRefreshToken(user, req);
+
+  res.status(statusCode).json({
+    ...extra,
+    token,
+    refreshToken,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      avatar: user.avatar,
+      isVerified: user.isVerified
+    }
+  });
+};
+
+/**
+ * Revoke every session of a user: bumps tokenVersion so outstanding access
+ * tokens stop working, revokes all refresh tokens and drops live sockets.
+ */
+const revokeUserSessions = async (userId) => {
+  await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  disconnectUserSockets(userId);
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  generateChallengeToken,
+  createRefreshToken,
+  sendTokenResponse,
+  revokeUserSessions
+};
@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const Contest = require('../models/Contest');
+const Notification = require('../models/Notification');
+const RefreshToken = require('../models/RefreshToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const DataExport = require('../models/DataExport');
+const Follow = require('../models/Follow');
+const sendEmail = require('./sendEmail');
+const { revokeUserSessions } = require('./tokens');
+const { emailKey } = require('./loginThrottle');
+const { removeStoredFile } = require('./storage');
+
+// Shown in place of a purged user's name and avatar
+const ANONYMOUS_NAME = 'Deleted User';
+const ANONYMOUS_AVATAR = 'default-avatar.png';
+
+/**
+ * Days a soft-deleted account can still be restored before it is purged
+ */
+const getRetentionDays = () => parseInt(process.env.USER_RETENTION_DAYS || '30');
+
+/**
+ * Date after which a deleted account can no longer be restored
+ * @param {Object} user
+ */
+const getPurgeDate = (user) => {
+  return new Date(user.deletedAt.getTime() + getRetentionDays() * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Hide a user and their blogs. Nothing is removed, so the account can be restored.
+ * @param {Object} user User document
+ * @param {String} [deletedBy] ID of the user performing the deletion
+ */
+const softDeleteUser = async (user, deletedBy = null) => {
+  // Sign the user out everywhere while the account is still visible to queries
+  await revokeUserSessions(user._id);
+
+  const deletedAt = new Date();
+
+  // Blogs share the account's timestamp so a restore only brings back what this deletion hid
+  await Blog.updateMany(
+    { author: user._id, deletedAt: null },
+    { $set: { deletedAt, deletedBy } }
+  );
+
+  user.deletedAt = deletedAt;
+  user.deletedBy = deletedBy;
+  await user.save();
+
+  return user;
+};
+
+/**
+ * Bring back a soft-deleted user and the blogs hidden with them
+ * @param {Object} user User document (loaded with deleted records included)
+ */
+const restoreUser = async (user) => {
+  await Blog.updateMany(
+    { author: user._id, deletedAt: user.deletedAt },
+    { $set: { deletedAt: null, deletedBy: null } }
+  );
+
+  user.deletedAt = null;
+  user.deletedBy = null;
+  await user.save();
+
+  return user;
+};
+
+/**
+ * Permanently remove a deleted user's personal data.
+ *
+ * The account document is kept, stripped of anything identifying, so
+ * payment records, comments and published blogs still point at a (now
+ * anonymous) user. Unpublished blogs, revision history, personal
+ * notifications, contest registrations, follows, sessions and exports are removed.
+ * @param {Object} user User document (loaded with deleted records included)
+ */
+const anonymizeUser = async (user) => {
+  const userId = user._id;
+
+  // Published blogs are kept, credited to the anonymous account, so other people's
+  // comments on them aren't lost. Those hidden along with the account come back.
+  await Blog.updateMany(
+    { author: userId, deletedAt: user.deletedAt, status: 'approved' },
+    { $set: { deletedAt: null, deletedBy: null } }
+  );
+
+  // Blogs that stay hidden or were never published (drafts, submissions) are
+  // removed with their images, unless other people have commented on them
+  const removedBlogs = await Blog.find({
+    author: userId,
+    $or: [{ deletedAt: { $ne: null } }, { status: { $ne: 'approved' } }],
+    comments: { $not: { $elemMatch: { user: { $ne: userId } } } }
+  }).setOptions({ withDeleted: true }).select('featuredImageKey');
+  await Blog.deleteMany({ _id: { $in: removedBlogs.map(blog => blog._id) } });
+  await Promise.all(removedBlogs.map(blog => removeStoredFile(blog.featuredImageKey)));
+
+  // Earlier revisions may hold unpublished drafts; kept blogs keep only their current text
+  const userBlogIds = await Blog.find({ author: userId }).setOptions({ withDeleted: true }).distinct('_id');
+  await BlogRevision.deleteMany({ blog: { $in: [...userBlogIds, ...removedBlogs.map(blog => blog._id)] } });
+
+  // Comments keep their text but lose the name and avatar copied onto them,
+  // on every blog including hidden ones and other people's
+  await Blog.updateMany(
+    { 'comments.user': userId },
+    { $set: { 'comments.$[comment].name': ANONYMOUS_NAME, 'comments.$[comment].avatar': ANONYMOUS_AVATAR } },
+    { arrayFilters: [{ 'comment.user': userId }], withDeleted: true }
+  );
+
+  // Remove user from contests
+  await Contest.updateMany(
+    { 'participants.user': userId },
+    { $pull: { participants: { user: userId } } }
+  );
+
+  // Delete notifications addressed only to the user and drop them from the rest
+  await Notification.deleteMany({ targetUsers: [userId] });
+  await Notification.updateMany(
+    { targetUsers: userId },
+    { $pull: { targetUsers: userId }, $unset: { [`isRead.${userId}`]: '' } }
+  );
+
+  // Follows in either direction
+  await Follow.deleteMany({ $or: [{ follower: userId }, { following: userId }] });
+
+  // Sessions, login throttling and generated exports
+  await RefreshToken.deleteMany({ user: userId });
+  await LoginAttempt.deleteOne({ key: emailKey(user.email) });
+
+  const dataExports = await DataExport.find({ user: userId });
+  await Promise.all(dataExports.map(dataExport => removeStoredFile(dataExport.fileKey)));
+  await DataExport.deleteMany({ user: userId });
+
+  await removeStoredFile(user.avatarKey);
+
+  user.set({
+    name: ANONYMOUS_NAME,
+    email: `deleted-${userId}@deleted.invalid`,
+    password: crypto.randomBytes(32).toString('hex'),
+    avatar: ANONYMOUS_AVATAR,
+    avatarKey: null,
+    department: null,
+    programYear: null,
+    bio: '',
+    isActive: false,
+    isVerified: false,
+    contests: [],
+    notifications: [],
+    oidcSubject: undefined,
+    resetPasswordToken: undefined,
+    resetPasswordExpire: undefined,
+    closureRequestedAt: null,
+    closureScheduledFor: null,
+    tokenVersion: user.tokenVersion + 1,
+    'twoFactor.enabled': false,
+    'twoFactor.secret': undefined,
+    'twoFactor.recoveryCodes': undefined,
+    'twoFactor.lastUsedStep': undefined,
+    'twoFactor.enabledAt': undefined,
+    anonymizedAt: new Date()
+  });
+
+  // The placeholder email deliberately fails the address format check
+  await user.save({ validateBeforeSave: false });
+
+  return user;
+};
+
+/**
+ * Days between a self-service closure request and the account being closed
+ */
+const getClosureGraceDays = () => parseInt(process.env.ACCOUNT_CLOSURE_GRACE_DAYS || '14');
+
+/**
+ * Tell a user about their account closure by notification (when the account
+ * still exists) and email. Email failures are logged, not thrown.
+ */
+const notifyClosureUpdate = async (user, io, { type, title, message, subject, text, inApp = true }) => {
+  if (inApp) {
+    const notification = new Notification({
+      title,
+      message,
+      sender: user._id,
+      recipients: 'specific',
+      targetUsers: [user._id],
+      urgencyLevel: 'important',
+      relatedTo: 'account'
+    });
+
+    await notification.save();
+
+    if (io) {
+      io.to(user._id.toString()).emit('notification', { type, message, data: notification });
+    }
+  }
+
+  try {
+    await sendEmail({ to: user.email, subject, text: `Hi ${user.name},\n\n${text}` });
+  } catch (mailError) {
+    console.error('Account closure email error:', mailError.message);
+  }
+};
+
+/**
+ * Start the grace period for a self-service closure and sign the user out everywhere
+ * @param {Object} user User document
+ * @param {Object} [io] Socket.io server
+ */
+const requestAccountClosure = async (user, io) => {
+  user.closureRequestedAt = new Date();
+  user.closureScheduledFor = new Date(Date.now() + getClosureGraceDays() * 24 * 60 * 60 * 1000);
+  await user.save();
+
+  const closeDate = user.closureScheduledFor.toUTCString();
+
+  // Notify before revoking sessions so connected clients still receive it
+  await notifyClosureUpdate(user, io, {
+    type: 'ACCOUNT_CLOSURE_REQUESTED',
+    title: 'Account Closure Scheduled',
+    message: `Your account will be closed on ${closeDate}. Log in before then to cancel.`,
+    subject: 'Your account is scheduled to be closed',
+    text: `We received your request to close your account. It will be closed on ${closeDate}.\n\n` +
+      'Until then you can cancel simply by logging in again. After that date your personal data, ' +
+      'unpublished blogs and contest registrations are removed, your published blogs and comments ' +
+      'stay up without your name and payment records are kept without your details for accounting.'
+  });
+
+  await revokeUserSessions(user._id);
+
+  return user;
+};
+
+/**
+ * Cancel a pending closure (called when the user logs in during the grace period)
+ * @param {Object} user User document
+ * @param {Object} [io] Socket.io server
+ * @returns {Promise<Boolean>} Whether a closure was cancelled
+ */
+const cancelAccountClosure = async (user, io) => {
+  if (!user.closureRequestedAt) return false;
+
+  user.closureRequestedAt = null;
+  user.closureScheduledFor = null;
+  await user.save();
+
+  await notifyClosureUpdate(user, io, {
+    type: 'ACCOUNT_CLOSURE_CANCELLED',
+    title: 'Account Closure Cancelled',
+    message: 'You logged in, so your account will no longer be closed.',
+    subject: 'Your account closure was cancelled',
+    text: 'You logged in during the grace period, so your request to close your account has been cancelled.\n\n' +
+      'If this wasn\'t you, reset your password immediately and contact administration.'
+  });
+
+  return true;
+};
+
+/**
+ * Close an account whose grace period has ended: mark it deleted and anonymise it straight away
+ * @param {Object} user User document
+ */
+const completeAccountClosure = async (user) => {
+  // Keep the contact details for the confirmation email
+  const recipient = { _id: user._id, name: user.name, email: user.email };
+
+  await softDeleteUser(user, user._id);
+  await anonymizeUser(user);
+
+  await notifyClosureUpdate(recipient, null, {
+    inApp: false,
+    subject: 'Your account has been closed',
+    text: 'Your account has now been closed and your personal data removed as requested.\n\n' +
+      'Thank you for being part of the platform.'
+  });
+
+  return user;
+};
+
+module.exports = {
+  getRetentionDays,
+  getPurgeDate,
+  softDeleteUser,
+  restoreUser,
+  anonymizeUser,
+  getClosureGraceDays,
+  requestAccountClosure,
+  cancelAccountClosure,
+  completeAccountClosure
+};